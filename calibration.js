@@ -1,8 +1,9 @@
 // calibration.js (ESM)
 
-import { tapName, keyDownName, keyUpName } from "./helpers/keys.js";
+import { tapName, holdWhileTapping } from "./helpers/keys.js";
 import { readCurrent } from "./helpers/utils.js";
 import { sleep } from "./helpers/sleep.js";
+import { printHoldStats } from "./helpers/holdTimer.js";
 import { saveCalibration, loadCalibration } from "./helpers/calibrationIO.js";
 import { createInterface } from "readline/promises";
 import { moveTo } from "./helpers/moveTo.js";
@@ -92,23 +93,15 @@ function pushAndRenderLive(row, target, tolInfo) {
 async function measureOnce(ms, target) {
   const holdKey = chooseHoldKey(target);
   const xOriginalPos = await readCurrent(X_REGION, "x");
-
-  if (holdKey) {
-    await keyDownName(holdKey);
-    if (HOLD_LEAD_MS > 0) await sleep(HOLD_LEAD_MS);
-    try {
-      await tapName("DPAD_RIGHT", ms);
-    } finally {
-      if (HOLD_TAIL_MS > 0) await sleep(HOLD_TAIL_MS);
-      await keyUpName(holdKey);
-    }
-  } else {
-    await tapName("DPAD_RIGHT", ms);
-  }
+  const msActual = await holdWhileTapping(holdKey, "DPAD_RIGHT", {
+    holdMs: ms,
+    lead: HOLD_LEAD_MS,
+    tail: HOLD_TAIL_MS,
+  });
 
   const xNewPosition = await readCurrent(X_REGION, "x");
   const diff = xNewPosition - xOriginalPos;
-  return { xOriginalPos, xNewPosition, diff, held: holdKey ?? "-" };
+  return { xOriginalPos, xNewPosition, diff, held: holdKey ?? "-", msActual };
 }
 
 async function tuneForTarget(target) {
@@ -121,10 +114,8 @@ async function tuneForTarget(target) {
   let best = null;
 
   for (let i = 0; i < MAX_SUB_ITERS; i++) {
-    const { xOriginalPos, xNewPosition, diff, held } = await measureOnce(
-      ms,
-      target
-    );
+    const { xOriginalPos, xNewPosition, diff, held, msActual } =
+      await measureOnce(ms, target);
     const err = Math.abs(diff - target);
     const ok = err <= tolInfo.eff;
 
@@ -132,6 +123,7 @@ async function tuneForTarget(target) {
       Target: target,
       Iter: i + 1,
       ms,
+      msActual: Number(msActual.toFixed(3)),
       xOrig: Number(xOriginalPos.toFixed(6)),
       xNew: Number(xNewPosition.toFixed(6)),
       Diff: Number(diff.toFixed(6)),
@@ -144,6 +136,7 @@ async function tuneForTarget(target) {
     if (!best || err < best.err) {
       best = {
         ms,
+        msActual,
         xOriginalPos,
         xNewPosition,
         diff,
@@ -166,6 +159,7 @@ async function tuneForTarget(target) {
   bestResultsPosition.push({
     Target: best.target,
     ms: best.ms,
+    msActual: Number(best.msActual.toFixed(3)),
     Iterations: best.iter,
     xOrig: Number(best.xOriginalPos.toFixed(6)),
     xNew: Number(best.xNewPosition.toFixed(6)),
@@ -192,23 +186,15 @@ function forwardDelta360(a, b) {
 async function measureOnceRotation(ms, target360) {
   const holdKey = chooseHoldKey(target360);
   const rotOrig = await readCurrent(XROT_REGION, "rot");
-
-  if (holdKey) {
-    await keyDownName(holdKey);
-    if (HOLD_LEAD_MS > 0) await sleep(HOLD_LEAD_MS);
-    try {
-      await tapName("DPAD_RIGHT", ms);
-    } finally {
-      if (HOLD_TAIL_MS > 0) await sleep(HOLD_TAIL_MS);
-      await keyUpName(holdKey);
-    }
-  } else {
-    await tapName("DPAD_RIGHT", ms);
-  }
+  const msActual = await holdWhileTapping(holdKey, "DPAD_RIGHT", {
+    holdMs: ms,
+    lead: HOLD_LEAD_MS,
+    tail: HOLD_TAIL_MS,
+  });
 
   const rotNew = await readCurrent(XROT_REGION, "rot");
   const diff = forwardDelta360(rotOrig, rotNew);
-  return { rotOrig, rotNew, diff, held: holdKey ?? "-" };
+  return { rotOrig, rotNew, diff, held: holdKey ?? "-", msActual };
 }
 
 async function tuneForTargetRotation(targetSigned) {
@@ -222,10 +208,8 @@ async function tuneForTargetRotation(targetSigned) {
   let best = null;
 
   for (let i = 0; i < MAX_SUB_ITERS; i++) {
-    const { rotOrig, rotNew, diff, held } = await measureOnceRotation(
-      ms,
-      target360
-    );
+    const { rotOrig, rotNew, diff, held, msActual } =
+      await measureOnceRotation(ms, target360);
     const err = Math.abs(diff - target360);
     const ok = err <= tolInfo.eff;
 
@@ -234,6 +218,7 @@ async function tuneForTargetRotation(targetSigned) {
       Target360: Number(target360.toFixed(6)),
       Iter: i + 1,
       ms,
+      msActual: Number(msActual.toFixed(3)),
       rotOrig: Number(rotOrig.toFixed(6)),
       rotNew: Number(rotNew.toFixed(6)),
       Diff: Number(diff.toFixed(6)),
@@ -246,6 +231,7 @@ async function tuneForTargetRotation(targetSigned) {
     if (!best || err < best.err) {
       best = {
         ms,
+        msActual,
         rotOrig,
         rotNew,
         diff,
@@ -268,6 +254,7 @@ async function tuneForTargetRotation(targetSigned) {
   bestResultsRotation.push({
     Target: Number(targetSigned.toFixed(6)),
     ms: best.ms,
+    msActual: Number(best.msActual.toFixed(3)),
     HeldKey: best.held,
   });
 }
@@ -290,13 +277,14 @@ async function runCalibrationSweepPosition(startMs, endMs, stepMs) {
   const rows = [];
   let i = 0;
   for (let ms = lo; ms <= hi; ms += d) {
-    const { xOriginalPos, xNewPosition, diff } = await measureOnce(
+    const { xOriginalPos, xNewPosition, diff, msActual } = await measureOnce(
       ms,
       SWEEP_TARGET_FOR_HOLD
     );
     rows.push({
       target: Number(diff.toFixed(6)),
       ms,
+      msActual: Number(msActual.toFixed(3)),
       heldKey: "-", // we intentionally avoid holds in the sweep
       xOrig: Number(xOriginalPos.toFixed(6)),
       xNew: Number(xNewPosition.toFixed(6)),
@@ -304,13 +292,16 @@ async function runCalibrationSweepPosition(startMs, endMs, stepMs) {
     });
     console.clear();
     console.log(`Sweep progress: ms=${ms} (${i} samples)`);
-    console.table(rows.map(({ i, ms, target }) => ({ i, ms, step: target })));
+    console.table(
+      rows.map(({ i, ms, msActual, target }) => ({ i, ms, msActual, step: target }))
+    );
   }
 
   // Save ONLY the schema movers consume
-  const compact = rows.map(({ target, ms, heldKey }) => ({
+  const compact = rows.map(({ target, ms, msActual, heldKey }) => ({
     target,
     ms,
+    msActual,
     heldKey,
   }));
   await saveCalibration(compact, {
@@ -613,6 +604,7 @@ async function main() {
     console.error("Error:", err);
   } finally {
     rl.close();
+    printHoldStats();
     process.exit(0);
   }
 }
@@ -10,33 +10,55 @@ function isDebug(out) {
   return !!(out && typeof out === "string" && out.trim().length > 0);
 }
 
+// Frames come from the real desktop unless a source is installed
+// (e.g. the headless Creator simulator in helpers/creatorSim.js).
+let screenSource = null;
+
 /**
- * Capture the full desktop (primary screen by default).
- * @param {Object} options
- * @param {string|null} [options.out]         If provided, save PNG to this path; else keep in memory
- * @param {number|string} [options.screenIndex] Monitor index or display id
- * @returns {Promise<{out:string|null,width:number,height:number,screen?:any,buffer?:Buffer}>}
+ * Replace the desktop as the capture source.
+ * @param {null|((opts:{screenIndex?:number|string}) => Promise<Buffer>)} source
+ *        Resolves a full-screen PNG. Pass null to go back to the desktop.
  */
-export async function captureDesktop(options = {}) {
-  const out = options.out || null;
-  const debug = isDebug(out);
+export function setScreenSource(source) {
+  screenSource = source;
+}
+
+async function grabScreen(screenIndex) {
+  if (screenSource) {
+    return { img: await screenSource({ screenIndex }), screenOpt: undefined };
+  }
 
   let screenOpt;
-  if (options.screenIndex !== undefined) {
+  if (screenIndex !== undefined) {
     const displays = await screenshot.listDisplays();
-    if (typeof options.screenIndex === "number") {
-      if (!displays[options.screenIndex]) {
-        throw new Error(`screenIndex ${options.screenIndex} not found (found ${displays.length} displays)`);
+    if (typeof screenIndex === "number") {
+      if (!displays[screenIndex]) {
+        throw new Error(`screenIndex ${screenIndex} not found (found ${displays.length} displays)`);
       }
-      screenOpt = displays[options.screenIndex].id;
+      screenOpt = displays[screenIndex].id;
     } else {
-      const found = displays.find(d => String(d.id) === String(options.screenIndex));
-      if (!found) throw new Error(`Display id "${options.screenIndex}" not found`);
+      const found = displays.find(d => String(d.id) === String(screenIndex));
+      if (!found) throw new Error(`Display id "${screenIndex}" not found`);
       screenOpt = found.id;
     }
   }
 
   const img = await screenshot({ format: "png", ...(screenOpt ? { screen: screenOpt } : {}) });
+  return { img, screenOpt };
+}
+
+/**
+ * Capture the full desktop (primary screen by default).
+ * @param {Object} options
+ * @param {string|null} [options.out]         If provided, save PNG to this path; else keep in memory
+ * @param {number|string} [options.screenIndex] Monitor index or display id
+ * @returns {Promise<{out:string|null,width:number,height:number,screen?:any,buffer?:Buffer}>}
+ */
+export async function captureDesktop(options = {}) {
+  const out = options.out || null;
+  const debug = isDebug(out);
+
+  const { img, screenOpt } = await grabScreen(options.screenIndex);
   const meta = await sharp(img).metadata();
 
   if (debug) {
@@ -60,22 +82,7 @@ export async function captureRegion(options = {}) {
   const out = options.out || null;
   const debug = isDebug(out);
 
-  let screenOpt;
-  if (options.screenIndex !== undefined) {
-    const displays = await screenshot.listDisplays();
-    if (typeof options.screenIndex === "number") {
-      if (!displays[options.screenIndex]) {
-        throw new Error(`screenIndex ${options.screenIndex} not found (found ${displays.length} displays)`);
-      }
-      screenOpt = displays[options.screenIndex].id;
-    } else {
-      const found = displays.find(d => String(d.id) === String(options.screenIndex));
-      if (!found) throw new Error(`Display id "${options.screenIndex}" not found`);
-      screenOpt = found.id;
-    }
-  }
-
-  const img = await screenshot({ format: "png", ...(screenOpt ? { screen: screenOpt } : {}) });
+  const { img, screenOpt } = await grabScreen(options.screenIndex);
   const meta = await sharp(img).metadata();
 
   const { left, top, width, height } = options.region;
@@ -1,12 +1,34 @@
 // cloneJob.js — X-only with menu movements (enter -> move X -> exit)
 // Adds CLI range selection: --start <n> --end <n>
+// Track: --track <file> (default data/hotdog.json), e.g. a trackTransform.js output
+// Prop kinds: --kinds prop|dprop|both (default both; static props come first).
+// dprop rows need the "kind" step in commands/propAttributes.json (Dynamic on)
+// The track is validated strictly (trackParser validateTrack: props, race,
+// veh, weap and fsp) in every mode before anything is pressed; --loose skips
+// that and parses leniently as before
+// Other content: --mode checkpoints|vehicles|weapons|starts places mission.race
+// checkpoints, mission.veh vehicles, mission.weap pickups or the start grid and
+// spawn points instead of props, driven by the blocks in
+// commands/checkpointMenu.json, vehicleMenu.json, weaponMenu.json and
+// startMenu.json. Checkpoints that may need a round/air variant whose "bit"
+// is not configured are refused unless --ignore-variants is given
+// Prop attributes (colour, boost strength, LOD): commands/propAttributes.json
+// Gaps between menu taps come from the pacing layer (config/input.json → pacing)
 
 import fs from "fs/promises";
-import { tapName, repeat } from "./helpers/keys.js";
+import { tapName, repeat, reportMissedStep } from "./helpers/keys.js";
 import { sleep } from "./helpers/sleep.js";
-import parseTrackData from "./trackParser.js";
+import { printHoldStats } from "./helpers/holdTimer.js";
+import parseTrackData, {
+  parseCheckpoints,
+  parseVehicles,
+  parseWeapons,
+  parseStarts,
+} from "./trackParser.js";
 import MenuScript from "./classes/MenuScript.js";
+import { loadMenuFile } from "./helpers/menuMacro.js";
 import { to360From180 } from "./helpers/utils.js";
+import { sameHash, checkEntryHashes } from "./helpers/hash.js";
 import { loadCalibration } from "./helpers/calibrationIO.js";
 import { moveTo } from "./helpers/moveTo.js";
 import { moveToTest } from "./helpers/moveToTest.js";
@@ -18,6 +40,8 @@ import { moveTo as moveToSimple} from "./helpers/moveToSimple.js";
 const positionCal = await loadCalibration("positionCal.json");
 const rotationCal = await loadCalibration("rotationCal.json");
 
+const TRACK_FILE = getArg("--track") ?? "./data/hotdog.json";
+
 // OCR regions (leave as-is unless you need to tweak)
 const X_REGION = { left: 760, top: 168, width: 140, height: 35 };
 const Y_REGION = { left: 760, top: 204, width: 140, height: 35 };
@@ -27,6 +51,19 @@ const XROT_REGION = { left: 708, top: 168, width: 140, height: 35 };
 const YROT_REGION = { left: 708, top: 204, width: 140, height: 35 };
 const ZROT_REGION = { left: 708, top: 242, width: 140, height: 35 };
 
+// Checkpoint heading sits where prop Z rotation does
+const HEADING_REGION = ZROT_REGION;
+
+// Pickup rotation rows follow the heading row
+const PICKUP_ROTX_REGION = { left: 708, top: 280, width: 140, height: 35 };
+const PICKUP_ROTY_REGION = { left: 708, top: 318, width: 140, height: 35 };
+
+const CHECKPOINT_MENU_FILE = new URL("./commands/checkpointMenu.json", import.meta.url);
+const VEHICLE_MENU_FILE = new URL("./commands/vehicleMenu.json", import.meta.url);
+const WEAPON_MENU_FILE = new URL("./commands/weaponMenu.json", import.meta.url);
+const START_MENU_FILE = new URL("./commands/startMenu.json", import.meta.url);
+const PROP_ATTRIBUTES_FILE = new URL("./commands/propAttributes.json", import.meta.url);
+
 // Move tolerances
 const MOVE_ABS_TOL = 0.01;
 const MOVE_REL_TOL = 0.01;
@@ -57,6 +94,46 @@ function parseIndex(val) {
   return Number.isInteger(n) ? n : null;
 }
 
+// Inclusive --start/--end range, clamped to the rows available
+function selectRange(total) {
+  const minIndex = 0;
+  const maxIndex = Math.max(0, total - 1);
+
+  let startIdx = parseIndex(getArg("--start"));
+  let endIdx = parseIndex(getArg("--end"));
+
+  // defaults if not provided
+  if (startIdx == null) startIdx = minIndex;
+  if (endIdx == null) endIdx = maxIndex;
+
+  // clamp to valid range
+  startIdx = Math.max(minIndex, Math.min(startIdx, maxIndex));
+  endIdx = Math.max(minIndex, Math.min(endIdx, maxIndex));
+
+  // ensure start <= end
+  if (startIdx > endIdx) {
+    // swap
+    const t = startIdx;
+    startIdx = endIdx;
+    endIdx = t;
+  }
+
+  const count = endIdx - startIdx + 1;
+
+  console.log(
+    [
+      `Rows available: ${total} (valid index range: ${minIndex}..${maxIndex})`,
+      `Selected range: ${startIdx}..${endIdx} (count: ${count})`,
+      `Starting in ${START_DELAY_MS / 1000}s ...`,
+      ``,
+      `Tip: pass --start N --end M to change the range.`,
+      `  e.g., node cloneJob.js --start 10 --end 25`,
+    ].join("\n")
+  );
+
+  return { startIdx, endIdx };
+}
+
 // ===== Menu runner =====
 async function runMenuScript(script, blockName) {
   if (!script || !blockName) throw new Error("runMenuScript: bad args");
@@ -66,7 +143,11 @@ async function runMenuScript(script, blockName) {
     return;
   }
 
-  for (const s of block[blockName]) {
+  await runOps(block[blockName]);
+}
+
+async function runOps(ops) {
+  for (const s of ops) {
     if (s.op === "repeat") {
       const times = Number(s.times) || 0;
       if (times > 0) await repeat(s.key, times);
@@ -79,6 +160,60 @@ async function runMenuScript(script, blockName) {
   }
 }
 
+// ===== Prop attributes =====
+
+async function loadAttributeSteps() {
+  const raw = await fs.readFile(PROP_ATTRIBUTES_FILE, "utf-8");
+  const data = JSON.parse(raw);
+  if (!Array.isArray(data.steps)) {
+    throw new Error(`Attribute file format invalid: expected steps[] (${PROP_ATTRIBUTES_FILE})`);
+  }
+  return data.steps;
+}
+
+/**
+ * Presses from the option's default to `value`: > 0 increase, < 0 decrease,
+ * null when the value is not one the option offers.
+ */
+function attributePresses(step, value) {
+  if (Array.isArray(step.values)) {
+    const at = step.values.indexOf(value);
+    return at === -1 ? null : at - step.values.indexOf(step.default);
+  }
+  return Number.isInteger(value) ? value - (step.default ?? 0) : null;
+}
+
+// Steps that apply to a row: field present, model allowed, not at default
+function attributeStepsFor(row, modelName, steps) {
+  return steps.filter(
+    (step) =>
+      row[step.field] != null &&
+      row[step.field] !== step.default &&
+      (!step.models || step.models.includes(modelName))
+  );
+}
+
+// Starts and ends on the Z rotation field
+async function applyAttributes(row, modelName, steps, label) {
+  const applied = [];
+  for (const step of attributeStepsFor(row, modelName, steps)) {
+    const value = row[step.field];
+    const presses = attributePresses(step, value);
+    if (presses == null) {
+      console.warn(`${label}: ${step.label} has no option for ${step.field}=${value} — left at default`);
+      continue;
+    }
+
+    await runOps(step.to ?? []);
+    if (presses !== 0) {
+      await repeat(presses > 0 ? step.increase : step.decrease, Math.abs(presses));
+    }
+    await runOps(step.back ?? []);
+    applied.push(`${step.field}=${value}`);
+  }
+  return applied;
+}
+
 // ===== Position placement using calibrated mover =====
 async function runPlacementXYZ({ calibration, target, region, targetName }) {
   const result = await moveToSimple(target, calibration, region);
@@ -86,6 +221,34 @@ async function runPlacementXYZ({ calibration, target, region, targetName }) {
   return result;
 }
 
+// X, then Y, then Z: starts on the X field, ends on the Z field
+async function placePosition(location, label) {
+  const xpos = await runPlacementXYZ({
+    calibration: positionCal,
+    target: Number(location.x),
+    region: X_REGION,
+    targetName: `${label} for X`,
+  });
+
+  await tapName("DPAD_DOWN", 225);
+  const ypos = await runPlacementXYZ({
+    calibration: positionCal,
+    target: Number(location.y),
+    region: Y_REGION,
+    targetName: `${label} for Y`,
+  });
+
+  await tapName("DPAD_DOWN", 225);
+  const zpos = await runPlacementXYZ({
+    calibration: positionCal,
+    target: Number(location.z),
+    region: Z_REGION,
+    targetName: `${label} for Z`,
+  });
+
+  return { xpos, ypos, zpos };
+}
+
 // ===== Rotation placement using calibrated mover =====
 async function runPlacementROT({ calibration, target, region, targetName }) {
   const convertedTarget = to360From180(target);
@@ -111,50 +274,523 @@ async function runPlacementROT({ calibration, target, region, targetName }) {
   return result;
 }
 
+// ===== Checkpoint heading (race.chh is already 0..360) =====
+async function runPlacementHeading({ calibration, target, region, targetName }) {
+  const heading = ((Number(target) % 360) + 360) % 360;
+
+  return moveToTest({
+    target: heading,
+    calibration,
+    axisLabel: targetName,
+    dirKeys: { positive: "DPAD_RIGHT", negative: "DPAD_LEFT" },
+    tolerances: { relPct: MOVE_REL_TOL, absTol: MOVE_ABS_TOL },
+    maxSteps: MAX_STEPS,
+    wholeTol: 2,
+    fracTol: 0.02,
+    smallestMaxTries: SMALLEST_MAX_TRIES,
+    ui: { live: true },
+    lead: 30,
+    tail: 10,
+    region,
+    rotation: true,
+  });
+}
+
+// ===== Flow menus (checkpoints, vehicles) =====
+
+/**
+ * Load a commands file of named flows ({ name, menuCommands, bit? }) and
+ * per-model scripts ({ modelNumber, modelName, menuCommands }).
+ * `bits` maps flow names to their optional `bit` ({ field, bit }).
+ */
+async function loadFlowMenu(file) {
+  const data = await loadMenuFile(file);
+  const flows = {};
+  const bits = {};
+  const scripts = [];
+  for (const e of data) {
+    if (e.name) {
+      flows[e.name] = new MenuScript(null, e.name, e.menuCommands);
+      if (e.bit) bits[e.name] = e.bit;
+    } else scripts.push(new MenuScript(e.modelNumber, e.modelName, e.menuCommands));
+  }
+  return { flows, bits, scripts };
+}
+
+// Fail before touching the game if a needed entry is missing
+function requireEntries(file, missing) {
+  if (missing.length) {
+    throw new Error(`No entry for ${missing.join(", ")} in ${file.pathname}`);
+  }
+}
+
+// Blocks placeWithFlow runs, plus the flow's own enter/exit
+const PLACE_BLOCKS = ["enter", "position", "heading", "place", "exit"];
+
+/**
+ * "flow.block" for every block a present flow lacks; a missing flow is
+ * left to the caller's own "flow" entry check.
+ * @param {Object<string, MenuScript>} flows
+ * @param {Object<string, string[]>} needs - flow name → block names
+ */
+function missingBlocks(flows, needs) {
+  return Object.entries(needs).flatMap(([name, blocks]) =>
+    flows[name]
+      ? blocks.filter((b) => !flows[name].menuCommands.some((c) => c[b])).map((b) => `${name}.${b}`)
+      : []
+  );
+}
+
+/**
+ * position → X/Y/Z, heading → heading mover, then `beforePlace` (if any)
+ * and the flow's place block.
+ */
+async function placeWithFlow(flow, { location, heading, label, beforePlace }) {
+  await runMenuScript(flow, "position");
+  const pos = await placePosition(location, label);
+
+  await runMenuScript(flow, "heading");
+  const head = await runPlacementHeading({
+    calibration: rotationCal,
+    target: heading,
+    region: HEADING_REGION,
+    targetName: `${label} for HEADING`,
+  });
+
+  if (beforePlace) await beforePlace();
+  await runMenuScript(flow, "place");
+
+  return { ...pos, head };
+}
+
+// ===== Checkpoints =====
+
+// Variant flows toggled around a placement
+const PRIMARY_VARIANTS = ["round", "air"];
+const SECONDARY_VARIANTS = ["secondaryRound", "secondaryAir"];
+
+// A variant applies when the checkpoint has the raw type bit its flow names
+// in checkpointMenu.json ("bit": { "field": "cpbs1", "bit": 1 }); the
+// parser does not decode them, the bit meanings are unconfirmed
+const hasBit = (cp, at) => !!at && ((cp.bits[at.field] >>> at.bit) & 1) === 1;
+
+// Names of the variant flows a checkpoint row needs
+function variantsFor(cp, bits) {
+  const primary = PRIMARY_VARIANTS.filter((v) => hasBit(cp, bits[v]));
+  const secondary = cp.secondary ? SECONDARY_VARIANTS.filter((v) => hasBit(cp, bits[v])) : [];
+  return { primary, secondary };
+}
+
+// One placement: toggle variants on, position, heading, place, toggle back off
+async function placeOneCheckpoint(menu, { location, heading, variants, label }) {
+  for (const v of variants) await runMenuScript(menu[v], "enter");
+
+  const placed = await placeWithFlow(menu.checkpoint, { location, heading, label });
+
+  for (const v of [...variants].reverse()) await runMenuScript(menu[v], "exit");
+
+  return placed;
+}
+
+async function cloneCheckpoints() {
+  const { rows, mismatches } = await parseCheckpoints(TRACK_FILE, {
+    rootPath: "mission",
+  });
+  for (const m of mismatches) {
+    console.warn(`race.${m.key}: ${m.length} values for ${m.expected} checkpoints`);
+  }
+  if (!rows.length) {
+    console.log("No race checkpoints in this track.");
+    return;
+  }
+
+  const { flows: menu, bits } = await loadFlowMenu(CHECKPOINT_MENU_FILE);
+  const { startIdx, endIdx } = selectRange(rows.length);
+
+  // A checkpoint with type bits set may be a variant whose bit is not known
+  // yet: refuse it rather than place it as a standard one
+  const unmappedFor = (cp) =>
+    [...PRIMARY_VARIANTS, ...(cp.secondary ? SECONDARY_VARIANTS : [])].filter((v) => !bits[v]);
+  const unsure = rows
+    .slice(startIdx, endIdx + 1)
+    .filter((cp) => unmappedFor(cp).length && Object.values(cp.bits).some((b) => b !== 0));
+  if (unsure.length) {
+    const unmapped = [...new Set(unsure.flatMap(unmappedFor))];
+    const message =
+      `Checkpoint(s) ${unsure.map((cp) => cp.index).join(", ")} have type bits set, but ` +
+      `${unmapped.join(", ")} have no "bit" in ${CHECKPOINT_MENU_FILE.pathname}, so ` +
+      `those variants cannot be applied`;
+    if (!process.argv.includes("--ignore-variants")) {
+      throw new Error(`${message} (--ignore-variants places them as standard checkpoints)`);
+    }
+    console.warn(`${message}: placing them as standard checkpoints (--ignore-variants).`);
+  }
+
+  const needed = new Set(["checkpoint"]);
+  for (let i = startIdx; i <= endIdx; i++) {
+    const { primary, secondary } = variantsFor(rows[i], bits);
+    [...primary, ...secondary].forEach((v) => needed.add(v));
+    if (rows[i].secondary) needed.add("secondary");
+  }
+  const blocks = Object.fromEntries(
+    [...needed].map((n) => [n, n === "checkpoint" ? PLACE_BLOCKS : ["enter", "exit"]])
+  );
+  requireEntries(CHECKPOINT_MENU_FILE, [
+    ...[...needed].filter((n) => !menu[n]),
+    ...missingBlocks(menu, blocks),
+  ]);
+
+  await sleep(START_DELAY_MS);
+
+  const summary = [];
+
+  for (let i = startIdx; i <= endIdx; i++) {
+    const cp = rows[i];
+
+    if (!cp.location || !Number.isFinite(Number(cp.location.x))) {
+      console.warn(`Checkpoint ${i}: missing/invalid location — skipping.`);
+      continue;
+    }
+
+    const { primary, secondary } = variantsFor(cp, bits);
+
+    try {
+      console.log(
+        `\n▶ Checkpoint ${i + 1}/${rows.length}` +
+          `${primary.length ? ` [${primary.join(", ")}]` : ""}` +
+          `${cp.secondary ? " +secondary" : ""}`
+      );
+
+      await runMenuScript(menu.checkpoint, "enter");
+
+      const first = await placeOneCheckpoint(menu, {
+        location: cp.location,
+        heading: cp.heading,
+        variants: primary,
+        label: `checkpoint ${i}`,
+      });
+
+      let second = null;
+      if (cp.secondary) {
+        await runMenuScript(menu.secondary, "enter");
+        second = await placeOneCheckpoint(menu, {
+          location: cp.secondary.location,
+          heading: cp.heading,
+          variants: secondary,
+          label: `checkpoint ${i} secondary`,
+        });
+        await runMenuScript(menu.secondary, "exit");
+      }
+
+      await runMenuScript(menu.checkpoint, "exit");
+
+      summary.push({
+        i,
+        type: [...primary, ...secondary].join("+") || "-",
+        X: first.xpos?.final ?? null,
+        Y: first.ypos?.final ?? null,
+        Z: first.zpos?.final ?? null,
+        HEADING: first.head?.final ?? null,
+        X2: second?.xpos?.final ?? null,
+        Y2: second?.ypos?.final ?? null,
+        Z2: second?.zpos?.final ?? null,
+      });
+
+      console.clear();
+      console.table(summary);
+    } catch (err) {
+      console.error(`Checkpoint ${i}: error:`, err);
+      reportMissedStep(`checkpoint ${i}: ${err?.message || err}`);
+    }
+  }
+}
+
+// ===== Vehicles =====
+
+async function cloneVehicles() {
+  const { rows, mismatches } = await parseVehicles(TRACK_FILE, {
+    rootPath: "mission",
+  });
+  for (const m of mismatches) {
+    console.warn(`veh.${m.key}: ${m.length} values for ${m.expected} vehicles`);
+  }
+  if (!rows.length) {
+    console.log("No vehicles in this track.");
+    return;
+  }
+
+  const { flows, scripts } = await loadFlowMenu(VEHICLE_MENU_FILE);
+  const { startIdx, endIdx } = selectRange(rows.length);
+
+  const models = new Set(rows.slice(startIdx, endIdx + 1).map((r) => r.model));
+  requireEntries(VEHICLE_MENU_FILE, [
+    ...(flows.vehicle ? [] : ["vehicle"]),
+    ...missingBlocks(flows, { vehicle: [...PLACE_BLOCKS, "colour"] }),
+    ...[...models].filter((m) => !scripts.some((s) => sameHash(s.modelNumber, m))).map((m) => `model ${m}`),
+  ]);
+
+  await sleep(START_DELAY_MS);
+
+  const summary = [];
+
+  for (let i = startIdx; i <= endIdx; i++) {
+    const veh = rows[i];
+    const script = scripts.find((s) => sameHash(s.modelNumber, veh.model));
+
+    if (!veh.location || !Number.isFinite(Number(veh.location.x))) {
+      console.warn(`Vehicle ${i}: missing/invalid location — skipping.`);
+      continue;
+    }
+
+    try {
+      console.log(`\n▶ Vehicle ${i + 1}/${rows.length} model=${veh.model} "${script.modelName}"`);
+
+      await runMenuScript(flows.vehicle, "enter");
+      await runMenuScript(script, "enter");
+
+      // The colour block leaves the cursor on the Colour option, at Default;
+      // colours follow in col order
+      const placed = await placeWithFlow(flows.vehicle, {
+        location: veh.location,
+        heading: veh.heading,
+        label: `vehicle ${i}`,
+        beforePlace: async () => {
+          await runMenuScript(flows.vehicle, "colour");
+          if (veh.colour >= 0) await repeat("DPAD_RIGHT", veh.colour + 1);
+        },
+      });
+
+      await runMenuScript(script, "exit");
+      await runMenuScript(flows.vehicle, "exit");
+
+      summary.push({
+        i,
+        model: veh.model,
+        colour: veh.colour,
+        X: placed.xpos?.final ?? null,
+        Y: placed.ypos?.final ?? null,
+        Z: placed.zpos?.final ?? null,
+        HEADING: placed.head?.final ?? null,
+      });
+
+      console.clear();
+      console.table(summary);
+    } catch (err) {
+      console.error(`Vehicle ${i}: error:`, err);
+      reportMissedStep(`vehicle ${i}: ${err?.message || err}`);
+    }
+  }
+}
+
+// ===== Weapons / pickups =====
+
+async function cloneWeapons() {
+  const { rows, mismatches } = await parseWeapons(TRACK_FILE, {
+    rootPath: "mission",
+  });
+  for (const m of mismatches) {
+    console.warn(`weap.${m.key}: ${m.length} values for ${m.expected} pickups`);
+  }
+  if (!rows.length) {
+    console.log("No weapons/pickups in this track.");
+    return;
+  }
+
+  const { flows, scripts } = await loadFlowMenu(WEAPON_MENU_FILE);
+  const { startIdx, endIdx } = selectRange(rows.length);
+
+  // Every type in the range must have an entry: report them all up front
+  const selected = rows.slice(startIdx, endIdx + 1);
+  const unknown = [...new Set(selected.map((r) => r.type))].filter(
+    (t) => !scripts.some((s) => sameHash(s.modelNumber, t))
+  );
+  for (const t of unknown) {
+    const at = selected.filter((r) => r.type === t).map((r) => r.index);
+    console.error(`Pickup type ${t} (rows ${at.join(", ")}) is not in weaponMenu.json`);
+  }
+  requireEntries(WEAPON_MENU_FILE, [
+    ...(flows.pickup ? [] : ["pickup"]),
+    ...missingBlocks(flows, { pickup: [...PLACE_BLOCKS, "rotation"] }),
+    ...unknown.map((t) => `type ${t}`),
+  ]);
+
+  await sleep(START_DELAY_MS);
+
+  const summary = [];
+
+  for (let i = startIdx; i <= endIdx; i++) {
+    const weap = rows[i];
+    const script = scripts.find((s) => sameHash(s.modelNumber, weap.type));
+
+    if (!weap.location || !Number.isFinite(Number(weap.location.x))) {
+      console.warn(`Pickup ${i}: missing/invalid location — skipping.`);
+      continue;
+    }
+
+    try {
+      console.log(`\n▶ Pickup ${i + 1}/${rows.length} type=${weap.type} "${script.modelName}"`);
+
+      await runMenuScript(flows.pickup, "enter");
+      await runMenuScript(script, "enter");
+
+      let xRot = null;
+      let yRot = null;
+      const placed = await placeWithFlow(flows.pickup, {
+        location: weap.location,
+        heading: weap.heading ?? 0,
+        label: `pickup ${i}`,
+        beforePlace: async () => {
+          await runMenuScript(flows.pickup, "rotation");
+          xRot = await runPlacementROT({
+            calibration: rotationCal,
+            target: Number(weap.rotX) || 0,
+            region: PICKUP_ROTX_REGION,
+            targetName: `pickup ${i} for XROT`,
+          });
+          await repeat("DPAD_DOWN", 1);
+          yRot = await runPlacementROT({
+            calibration: rotationCal,
+            target: Number(weap.rotY) || 0,
+            region: PICKUP_ROTY_REGION,
+            targetName: `pickup ${i} for YROT`,
+          });
+        },
+      });
+
+      await runMenuScript(script, "exit");
+      await runMenuScript(flows.pickup, "exit");
+
+      summary.push({
+        i,
+        type: weap.type,
+        X: placed.xpos?.final ?? null,
+        Y: placed.ypos?.final ?? null,
+        Z: placed.zpos?.final ?? null,
+        HEADING: placed.head?.final ?? null,
+        XROT: xRot?.final ?? null,
+        YROT: yRot?.final ?? null,
+      });
+
+      console.clear();
+      console.table(summary);
+    } catch (err) {
+      console.error(`Pickup ${i}: error:`, err);
+      reportMissedStep(`pickup ${i}: ${err?.message || err}`);
+    }
+  }
+}
+
+// ===== Start grid / spawn points =====
+
+async function cloneStarts() {
+  const { rows, mismatches } = await parseStarts(TRACK_FILE, {
+    rootPath: "mission",
+  });
+  for (const m of mismatches) {
+    console.warn(`fsp.${m.key}: ${m.length} values for ${m.expected} spawn points`);
+  }
+  if (!rows.length) {
+    console.log("No start grid or spawn points in this track.");
+    return;
+  }
+
+  const { flows } = await loadFlowMenu(START_MENU_FILE);
+  const { startIdx, endIdx } = selectRange(rows.length);
+
+  const kinds = new Set(rows.slice(startIdx, endIdx + 1).map((r) => r.kind));
+  requireEntries(START_MENU_FILE, [
+    ...[...kinds].filter((k) => !flows[k]),
+    ...missingBlocks(flows, Object.fromEntries([...kinds].map((k) => [k, PLACE_BLOCKS]))),
+  ]);
+
+  await sleep(START_DELAY_MS);
+
+  const summary = [];
+
+  for (let i = startIdx; i <= endIdx; i++) {
+    const start = rows[i];
+    const flow = flows[start.kind];
+
+    if (start.heading == null) {
+      console.warn(`${start.kind} ${i}: no heading — using 0.`);
+    }
+
+    try {
+      console.log(`\n▶ Start ${i + 1}/${rows.length} ${start.kind}`);
+
+      await runMenuScript(flow, "enter");
+      const placed = await placeWithFlow(flow, {
+        location: start.location,
+        heading: start.heading ?? 0,
+        label: `${start.kind} ${i}`,
+      });
+      await runMenuScript(flow, "exit");
+
+      summary.push({
+        i,
+        kind: start.kind,
+        X: placed.xpos?.final ?? null,
+        Y: placed.ypos?.final ?? null,
+        Z: placed.zpos?.final ?? null,
+        HEADING: placed.head?.final ?? null,
+      });
+
+      console.clear();
+      console.table(summary);
+    } catch (err) {
+      console.error(`Start ${i}: error:`, err);
+      reportMissedStep(`start ${i}: ${err?.message || err}`);
+    }
+  }
+}
+
+const MODES = {
+  checkpoints: cloneCheckpoints,
+  vehicles: cloneVehicles,
+  weapons: cloneWeapons,
+  starts: cloneStarts,
+};
+
 async function main() {
+  let exitCode = 0;
   try {
+    const mode = getArg("--mode") ?? "props";
+    if (mode !== "props") {
+      if (!MODES[mode]) {
+        throw new Error(`Unknown --mode "${mode}" (expected props, ${Object.keys(MODES).join(", ")})`);
+      }
+      // Same strict check the props path gets from parseTrackData({ strict }),
+      // before any mode parses its section or waits to start
+      if (!process.argv.includes("--loose")) {
+        await parseTrackData(TRACK_FILE, { rootPath: "mission", kinds: "both", strict: true });
+      }
+      await MODES[mode]();
+      console.log("\n✅ Done.");
+      return;
+    }
+
     // 1) load target rows
-    const rows = await parseTrackData("./data/hotdog.json", {
-      root: "mission",
+    const kinds = getArg("--kinds") ?? "both";
+    const rows = await parseTrackData(TRACK_FILE, {
+      rootPath: "mission",
+      kinds,
+      strict: !process.argv.includes("--loose"),
     });
 
     // 2) parse CLI index range (inclusive)
-    const total = rows.length;
-    const minIndex = 0;
-    const maxIndex = Math.max(0, total - 1);
-
-    let startIdx = parseIndex(getArg("--start"));
-    let endIdx = parseIndex(getArg("--end"));
-
-    // defaults if not provided
-    if (startIdx == null) startIdx = minIndex;
-    if (endIdx == null) endIdx = maxIndex;
-
-    // clamp to valid range
-    startIdx = Math.max(minIndex, Math.min(startIdx, maxIndex));
-    endIdx = Math.max(minIndex, Math.min(endIdx, maxIndex));
-
-    // ensure start <= end
-    if (startIdx > endIdx) {
-      // swap
-      const t = startIdx;
-      startIdx = endIdx;
-      endIdx = t;
+    const { startIdx, endIdx } = selectRange(rows.length);
+
+    // A dynamic prop is placed like a static one with the Creator's "Dynamic"
+    // option on, set by a propAttributes.json step on the row's kind
+    const attributeSteps = await loadAttributeSteps();
+    const dynamic = rows.slice(startIdx, endIdx + 1).filter((r) => r.kind === "dprop").length;
+    if (dynamic && !attributeSteps.some((step) => step.field === "kind")) {
+      throw new Error(
+        `${dynamic} dprop row(s) selected, but ${PROP_ATTRIBUTES_FILE.pathname} has no "kind" step ` +
+          `to turn on Dynamic, so they would be placed as static props (use --kinds prop)`
+      );
     }
 
-    const count = endIdx - startIdx + 1;
-
-    console.log(
-      [
-        `Rows available: ${total} (valid index range: ${minIndex}..${maxIndex})`,
-        `Selected range: ${startIdx}..${endIdx} (count: ${count})`,
-        `Starting in ${START_DELAY_MS / 1000}s ...`,
-        ``,
-        `Tip: pass --start N --end M to change the range.`,
-        `  e.g., node cloneJob.js --start 10 --end 25`,
-      ].join("\n")
-    );
-
     await sleep(START_DELAY_MS);
 
     // 3) load menu scripts (enter/exit)
@@ -163,11 +799,12 @@ async function main() {
       "utf-8"
     );
     const data = JSON.parse(raw);
+    for (const e of data) {
+      for (const p of checkEntryHashes(e)) console.warn(`⚠ propMenu.json ${e.modelName}: ${p}`);
+    }
     const scripts = data.map(
-      (s) =>
-        new MenuScript(Math.abs(s.modelNumber), s.modelName, s.menuCommands)
+      (s) => new MenuScript(s.modelNumber, s.modelName, s.menuCommands)
     );
-
     const summary = [];
 
     for (let i = startIdx; i <= endIdx; i++) {
@@ -185,7 +822,7 @@ async function main() {
         continue;
       }
 
-      const script = scripts.find((s) => s.modelNumber === modelNumber);
+      const script = scripts.find((s) => sameHash(s.modelNumber, modelNumber));
       if (!script) {
         console.warn(
           `Row ${i}: no script for model ${modelNumber} — skipping.`
@@ -195,7 +832,7 @@ async function main() {
 
       try {
         console.log(
-          `\n▶ Row ${i + 1}/${rows.length} model=${modelNumber} "${
+          `\n▶ Row ${i + 1}/${rows.length} ${row.kind} model=${modelNumber} "${
             script.modelName
           }"`
         );
@@ -204,49 +841,21 @@ async function main() {
         await runMenuScript(script, "enter");
 
         await repeat("DPAD_DOWN", 5);
-        await sleep(225);
         await tapName("CROSS", 225);
-        await sleep(225);
         await tapName("CROSS", 225);
-        await sleep(225);
         await tapName("CROSS", 225);
-        await sleep(225);
         await repeat("DPAD_DOWN", 2);
 
-        // X
-        const xpos = await runPlacementXYZ({
-          calibration: positionCal,
-          target: targetX,
-          region: X_REGION,
-          targetName: `index ${i} for X`,
-        });
-
-        // Y
-        await tapName("DPAD_DOWN", 225);
-        await sleep(225);
-        const ypos = await runPlacementXYZ({
-          calibration: positionCal,
-          target: targetY,
-          region: Y_REGION,
-          targetName: `index ${i} for Y`,
-        });
-
-        // Z
-        await tapName("DPAD_DOWN", 225);
-        await sleep(225);
-        const zpos = await runPlacementXYZ({
-          calibration: positionCal,
-          target: targetZ,
-          region: Z_REGION,
-          targetName: `index ${i} for Z`,
-        });
+        // X, Y, Z
+        const { xpos, ypos, zpos } = await placePosition(
+          { x: targetX, y: targetY, z: targetZ },
+          `index ${i}`
+        );
 
         // Override Position confirm path
         await repeat("CIRCLE", 1);
-        await sleep(225);
         await tapName("DPAD_DOWN", 225);
         await tapName("CROSS", 225);
-        await sleep(225);
         await tapName("CROSS", 225);
         await sleep(500);
 
@@ -277,15 +886,13 @@ async function main() {
           targetName: `index ${i} for ZROT`,
         });
 
-        await sleep(225);
+        // Colour / boost / LOD, back on the Z rotation field
+        const attrs = await applyAttributes(row, script.modelName, attributeSteps, `Row ${i}`);
 
         // Confirm & exit
         await tapName("CROSS", 500); // confirm
-        await sleep(225);
         await tapName("CIRCLE", 225);
-        await sleep(225);
         await tapName("CIRCLE", 225);
-        await sleep(225);
 
         await repeat("DPAD_DOWN", 3);
 
@@ -294,6 +901,7 @@ async function main() {
         // optional: record into summary (customize if you want)
         summary.push({
           i,
+          kind: row.kind,
           model: modelNumber,
           X: xpos?.final ?? null,
           Y: ypos?.final ?? null,
@@ -301,22 +909,25 @@ async function main() {
           XROT: xRot?.final ?? null,
           YROT: yRot?.final ?? null,
           ZROT: zRot?.final ?? null,
+          attrs: attrs.join(" ") || "-",
         });
 
         console.clear();
         console.table(summary);
       } catch (err) {
         console.error(`Row ${i}: error:`, err);
+        // Usually an OCR miss: the menu didn't land on the expected field
+        reportMissedStep(`row ${i}: ${err?.message || err}`);
       }
-
-      await sleep(225);
     }
 
     console.log("\n✅ Done.");
   } catch (err) {
     console.error("Error:", err?.message || err);
+    exitCode = 1;
   } finally {
-    process.exit(0);
+    printHoldStats();
+    process.exit(exitCode);
   }
 }
 
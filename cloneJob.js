@@ -1,10 +1,12 @@
 // cloneJob.js
-import robot from "robotjs";
 import fs from "fs/promises";
+import { tapName, repeat, keyDownName, keyUpName, settle } from "./helpers/keys.js";
 import { captureRegion } from "./capture-window.js";
 import { extractText } from "./ocr-text.js";
 import parseTrackData from "./trackParser.js";
 import MenuScript from "./classes/MenuScript.js"; // note the .js extension
+import { sameHash } from "./helpers/hash.js";
+import { ABORT_EXIT_CODE } from "./helpers/sleep.js";
 
 // ---------------- Abort (single listener) ----------------
 const ac = new AbortController();
@@ -50,55 +52,8 @@ function sleep(ms) {
 }
 
 // ---------------- Mappings & helpers ----------------
-const PS_MAP = {
-  CROSS: "enter",
-  CIRCLE: "backspace",
-  SQUARE: "s",
-  TRIANGLE: "c",
-  DPAD_UP: "up",
-  DPAD_DOWN: "down",
-  DPAD_LEFT: "left",
-  DPAD_RIGHT: "right",
-
-  L1: "q",
-  L2: "w",
-  R1: "e",
-  R2: "r",
-};
-
-function keyDownName(name) {
-  console.log(name);
-  const key = PS_MAP[name.toUpperCase()];
-  robot.keyToggle(key, "down");
-}
-function keyUpName(name) {
-  const key = PS_MAP[name.toUpperCase()];
-  robot.keyToggle(key, "up");
-}
-
-function keyDown(key) {
-  robot.keyToggle(key, "down");
-}
-
-function keyUp(key) {
-  robot.keyToggle(key, "up");
-}
-
-// Always releases key even if aborted during hold
-async function tap(key, holdMs = 200) {
-  keyDown(key);
-  try {
-    await sleep(holdMs);
-  } finally {
-    keyUp(key);
-  }
-}
-
-async function tapName(name, holdMs = 200) {
-  const key = PS_MAP[name.toUpperCase()];
-  if (!key) throw new Error(`Unknown button: ${name}`);
-  await tap(key, holdMs);
-}
+// Taps go through helpers/keys.js: paced (config/input.json → pacing), held
+// with preciseHold, released on any exit path
 
 function travelTimeMs(start, target, speed) {
   const distance = Math.abs(target - start);
@@ -212,13 +167,6 @@ async function moveAxis(current, target, speed, axis = "x") {
   }
 }
 
-async function repeat(name, times, holdMs = 200) {
-  for (let i = 0; i < times; i++) {
-    if (signal.aborted) throw new Error("aborted");
-    await tapName(name, holdMs);
-  }
-}
-
 const DEFAULT_TAP_MS = 250;
 
 async function runCmd(step) {
@@ -278,7 +226,7 @@ async function main() {
       // Turn plain objects into MenuScript instances
       const scripts = data.map(
         (s) =>
-          new MenuScript(Math.abs(s.modelNumber), s.modelName, s.menuCommands)
+          new MenuScript(s.modelNumber, s.modelName, s.menuCommands)
       );
 
       const startIn = 5000;
@@ -302,7 +250,7 @@ async function main() {
         }
 
         try {
-          const script = scripts.find((s) => s.modelNumber === modelNumber);
+          const script = scripts.find((s) => sameHash(s.modelNumber, modelNumber));
           if (!script) {
             console.error(`No script found for modelNumber ${modelNumber}`);
             continue;
@@ -332,8 +280,6 @@ async function main() {
           if (err?.message === "aborted") throw err;
           console.error(`Row ${i}: error:`, err?.message || err);
         }
-
-        await sleep(250);
       }
     } catch (err) {
       console.error("Error parsing file:", err.message);
@@ -343,8 +289,10 @@ async function main() {
   } catch (err) {
     if (err?.message === "aborted") {
       console.log("✅ Stopped cleanly.");
+      process.exitCode = ABORT_EXIT_CODE;
     } else {
       console.error("Error:", err);
+      process.exitCode = 1;
     }
   } finally {
     // cleanup stdin
@@ -352,7 +300,7 @@ async function main() {
       process.stdin.setRawMode(false);
       process.stdin.pause();
     } catch {}
-    process.exit(0);
+    process.exit(process.exitCode ?? 0);
   }
 }
 
@@ -392,6 +340,7 @@ async function nudgeToTargetAxis({
   let speed = Math.max(initialSpeed, minSpeed);
 
   const readCurrent = async () => {
+    await settle(); // menu redrawn after the last press
     const { buffer } = await captureRegion({ screenIndex: 1, region });
     const txt = await extractText(buffer, { numericOnly: true, psm: 7 });
     const n = Number(txt);
@@ -443,13 +392,9 @@ async function runPlacement({
 }) {
   // Navigate into the coordinate edit UI (as you had)
   await repeat("DPAD_DOWN", 5);
-  await sleep(250);
   await tapName("CROSS", 200);
-  await sleep(250);
   await tapName("CROSS", 200);
-  await sleep(250);
   await tapName("CROSS", 200);
-  await sleep(250);
   await repeat("DPAD_DOWN", 2);
 
   // X AXIS — coarse (triangle) then fine nudges
@@ -468,15 +413,12 @@ async function runPlacement({
 
   // Move down to Y field
   await tapName("DPAD_DOWN", 200);
-  await sleep(500);
 
   // (Optional) If you later add Z, do the same with its region here.
 
   // Confirm & exit as before
   await tapName("CROSS", 200); // confirm
-  await sleep(250);
   await tapName("CIRCLE", 200);
-  await sleep(250);
   await tapName("CIRCLE", 200);
 
   await repeat("DPAD_DOWN", 3);
@@ -0,0 +1,114 @@
+// helpers/bindings.js
+// Button → keyboard key mapping, loaded from a named profile in
+// config/keyProfiles.json. Every module that sends input resolves
+// buttons through here so a remap only has to be made once.
+
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadInputConfig } from "./inputConfig.js";
+
+const REPO_ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+export const BUTTONS = [
+  "CROSS",
+  "CIRCLE",
+  "SQUARE",
+  "TRIANGLE",
+  "DPAD_UP",
+  "DPAD_DOWN",
+  "DPAD_LEFT",
+  "DPAD_RIGHT",
+  "L1",
+  "L2",
+  "R1",
+  "R2",
+];
+
+/**
+ * Check a profile for unknown buttons, duplicate keys and empty keys.
+ * Missing buttons are not fatal; they only fail when actually pressed.
+ * @param {object} map - { BUTTON: "key", ... }
+ * @returns {{errors:string[], missing:string[]}}
+ */
+export function validateProfile(map) {
+  const errors = [];
+  if (!map || typeof map !== "object" || Array.isArray(map)) {
+    return { errors: ["profile must be an object of BUTTON: key"], missing: [] };
+  }
+
+  const byKey = new Map();
+  for (const [button, key] of Object.entries(map)) {
+    if (!BUTTONS.includes(button)) {
+      errors.push(`unknown button "${button}"`);
+    }
+    if (typeof key !== "string" || key.trim() === "") {
+      errors.push(`button "${button}" has no key`);
+      continue;
+    }
+    const k = key.toLowerCase();
+    if (byKey.has(k)) {
+      errors.push(`key "${key}" is bound to both ${byKey.get(k)} and ${button}`);
+    } else {
+      byKey.set(k, button);
+    }
+  }
+
+  const missing = BUTTONS.filter((b) => !(b in map));
+  return { errors, missing };
+}
+
+let cached = null;
+
+/**
+ * Load and validate the configured profile (cached).
+ * Throws if the profile is missing or invalid, so a bad mapping fails
+ * before any input is sent.
+ * @param {{profile?:string, profileFile?:string, reload?:boolean}} [opts]
+ * @returns {{name:string, file:string, map:Object<string,string>}}
+ */
+export function loadBindings(opts = {}) {
+  if (cached && !opts.reload) return cached;
+
+  const cfg = loadInputConfig();
+  const name = opts.profile ?? cfg.profile;
+  const file = path.resolve(REPO_ROOT, opts.profileFile ?? cfg.profileFile);
+
+  let profiles;
+  try {
+    profiles = JSON.parse(readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Failed to load key profiles from ${file}: ${err.message}`);
+  }
+
+  const map = profiles[name];
+  if (!map) {
+    throw new Error(
+      `Key profile "${name}" not found in ${file} (available: ${Object.keys(profiles).join(", ")})`
+    );
+  }
+
+  const { errors, missing } = validateProfile(map);
+  if (errors.length) {
+    throw new Error(
+      `Key profile "${name}" is invalid:\n` + errors.map((e) => `  - ${e}`).join("\n")
+    );
+  }
+  if (missing.length) {
+    console.warn(`Key profile "${name}" has no binding for: ${missing.join(", ")}`);
+  }
+
+  cached = { name, file, map: { ...map } };
+  return cached;
+}
+
+/**
+ * Resolve a button name (case-insensitive) to its keyboard key.
+ * @param {string} name - e.g. "DPAD_RIGHT"
+ * @returns {string}
+ */
+export function resolveKey(name) {
+  const key = loadBindings().map[String(name).toUpperCase()];
+  if (!key) throw new Error(`Unknown button: ${name}`);
+  return key;
+}
@@ -10,9 +10,11 @@ import fs from "fs/promises";
 export async function saveCalibration(results, options = {}) {
   const { filename = "calibration.json", timestamp = false } = options;
 
+  // msActual is the measured hold behind the requested ms (kept when known)
   const data = results.map(r => ({
     target: r.Target,
     ms: r.ms,
+    ...(r.msActual != null ? { msActual: r.msActual } : {}),
     heldKey: r.HeldKey
   }));
 
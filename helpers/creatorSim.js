@@ -0,0 +1,355 @@
+// helpers/creatorSim.js
+// Headless model of the Creator's prop placement menus, so the real pipeline
+// (keys → movers → captureRegion → extractText) can run without GTA.
+//
+// Input: raw key down/up events (the "sim" input backend forwards them here).
+//  - Menu buttons act on key down: DPAD_UP/DOWN move the cursor (wrapping),
+//    CROSS opens / toggles / places, CIRCLE goes back.
+//  - DPAD_LEFT/RIGHT on a selector row cycle it; on a numeric field the value
+//    moves on key up by a hold-duration → distance curve, picked by the
+//    modifier held at key down: SQUARE (slow), none, TRIANGLE (fast).
+// Output: renderScreen() draws the open menu into a full-screen PNG, with each
+// numeric field inside the OCR region clone.js reads it from.
+//
+// The menu layout follows the navigation clone.js performs after a prop's
+// "enter" block; it is a model of the Creator, not a copy of it.
+//
+// Run the real job against it:  GTA_INPUT_BACKEND=sim node clone.js --end 0
+// (placed props are appended to sim-placed.jsonl, see config/input.json → sim)
+
+import sharp from "sharp";
+import { appendFileSync } from "fs";
+import { loadBindings } from "./bindings.js";
+
+const SCREEN = { width: 1920, height: 1080 };
+
+// Where the value of each numeric field is drawn (same regions clone.js reads)
+const FIELD_REGIONS = {
+  x: { left: 760, top: 168, width: 140, height: 35 },
+  y: { left: 760, top: 204, width: 140, height: 35 },
+  z: { left: 760, top: 244, width: 140, height: 35 },
+  ry: { left: 708, top: 168, width: 140, height: 35 },
+  rx: { left: 708, top: 204, width: 140, height: 35 },
+  rz: { left: 708, top: 242, width: 140, height: 35 },
+};
+
+// Rows of every menu. A row is one of:
+//   { kind: "subcat" } / { kind: "item" }   prop catalogue selectors
+//   { open: "<menu>" }                      CROSS opens a submenu
+//   { kind: "toggle", flag }                CROSS flips an override on/off
+//   { field }                               numeric field, edited with LEFT/RIGHT
+//   {}                                      inert
+// The first rotation field is Rockstar's Y, hence "ry" (see clone.js).
+const MENUS = {
+  props: {
+    title: "Props",
+    rows: [
+      { label: "Category", kind: "subcat" },
+      { label: "Prop", kind: "item" },
+      { label: "Rotation Type" },
+      { label: "Colour" },
+      { label: "Snapping Options" },
+      { label: "Dynamic" },
+      { label: "Advanced Options", open: "advanced" },
+      { label: "Delete All" },
+    ],
+  },
+  advanced: {
+    title: "Advanced Options",
+    rows: [
+      { label: "Override Position", open: "overridePosition" },
+      { label: "Override Rotation", open: "overrideRotation" },
+      { label: "Alpha" },
+    ],
+  },
+  overridePosition: {
+    title: "Override Position",
+    rows: [
+      { label: "Override", kind: "toggle", flag: "position" },
+      { label: "Free Movement" },
+      { label: "X", field: "x" },
+      { label: "Y", field: "y" },
+      { label: "Z", field: "z" },
+    ],
+  },
+  overrideRotation: {
+    title: "Override Rotation",
+    rows: [
+      { label: "Override", kind: "toggle", flag: "rotation" },
+      { label: "Free Rotation" },
+      { label: "X", field: "ry" },
+      { label: "Y", field: "rx" },
+      { label: "Z", field: "rz" },
+    ],
+  },
+};
+
+const ROTATION_FIELDS = new Set(["rx", "ry", "rz"]);
+
+// distance(holdMs) = max(step, perSec * holdMs / 1000), per modifier.
+// Fitted to calibration/positionCal.json and rotationCal.json.
+const DEFAULT_CURVES = {
+  position: {
+    SQUARE: { step: 0.001, perSec: 0.064 },
+    "-": { step: 0.1, perSec: 6.4 },
+    TRIANGLE: { step: 1, perSec: 62 },
+  },
+  rotation: {
+    SQUARE: { step: 0.001, perSec: 0.067 },
+    "-": { step: 0.1, perSec: 6.4 },
+    TRIANGLE: { step: 1, perSec: 60 },
+  },
+};
+
+const nowMs = () => Number(process.hrtime.bigint()) / 1e6;
+const round3 = (v) => Math.round(v * 1000) / 1000;
+const wrap = (i, n) => ((i % n) + n) % n;
+const to180 = (deg) => (deg > 180 ? round3(deg - 360) : deg);
+
+/**
+ * Build the prop catalogue from propMenu.json entries by replaying each
+ * "enter" block: RIGHT on row 0 picks the subcategory, RIGHT on row 1 the item.
+ * Counts are the highest index seen + 1, so unknown cells are simply empty.
+ * @param {Array} entries - parsed commands/propMenu.json
+ * @returns {Array<{name:string, items:Array<object|null>}>}
+ */
+export function catalogFromMenuFile(entries) {
+  const subcats = [];
+  for (const entry of entries) {
+    const enter = entry.menuCommands?.find((b) => b.enter)?.enter ?? [];
+    let row = 0;
+    let subcat = 0;
+    let item = 0;
+    for (const op of enter) {
+      const times = op.op === "repeat" ? Number(op.times) || 0 : 1;
+      if (op.key === "DPAD_DOWN") row += times;
+      else if (op.key === "DPAD_UP") row -= times;
+      else if (op.key === "DPAD_RIGHT" || op.key === "DPAD_LEFT") {
+        const d = op.key === "DPAD_RIGHT" ? times : -times;
+        if (row === 0) {
+          subcat += d;
+          item = 0;
+        } else if (row === 1) item += d;
+      }
+    }
+    if (subcat < 0 || item < 0) continue;
+    subcats[subcat] ??= { name: entry.subcat ?? `Subcategory ${subcat}`, items: [] };
+    subcats[subcat].items[item] = entry;
+  }
+  for (let i = 0; i < subcats.length; i++) {
+    subcats[i] ??= { name: `Subcategory ${i}`, items: [] };
+    subcats[i].items = Array.from(subcats[i].items, (e) => e ?? null);
+    if (subcats[i].items.length === 0) subcats[i].items = [null];
+  }
+  return subcats;
+}
+
+/**
+ * @param {{
+ *   catalog?: Array<{name:string, items:Array<object|null>}>,
+ *   curves?: typeof DEFAULT_CURVES,
+ *   origin?: { x?:number, y?:number, z?:number },
+ *   minPressGapMs?: number,   // menu presses closer than this are dropped (0 = never)
+ *   placedFile?: string|null, // append each placed prop as a JSON line
+ * }} [opts]
+ */
+export function createCreatorSim({
+  catalog = [],
+  curves = DEFAULT_CURVES,
+  origin = {},
+  minPressGapMs = 0,
+  placedFile = null,
+} = {}) {
+  // Raw key → button name, from the active key profile
+  const buttonOf = new Map(
+    Object.entries(loadBindings().map).map(([button, key]) => [key, button])
+  );
+
+  const state = {
+    stack: [{ menu: "props", cursor: 0 }],
+    subcat: 0,
+    item: 0,
+    override: { position: false, rotation: false },
+    values: {
+      x: origin.x ?? 0,
+      y: origin.y ?? 0,
+      z: origin.z ?? 0,
+      rx: 0,
+      ry: 0,
+      rz: 0,
+    },
+    down: new Map(), // button → { at, modifier }
+    lastPressAt: -Infinity,
+    dropped: 0,
+  };
+  const placed = [];
+
+  const top = () => state.stack[state.stack.length - 1];
+  const rowOf = (frame = top()) => MENUS[frame.menu].rows[frame.cursor];
+  const subcatCount = () => Math.max(1, catalog.length);
+  const itemCount = () => Math.max(1, catalog[state.subcat]?.items.length ?? 0);
+  const currentEntry = () => catalog[state.subcat]?.items[state.item] ?? null;
+
+  function modifierHeld() {
+    if (state.down.has("TRIANGLE")) return "TRIANGLE";
+    if (state.down.has("SQUARE")) return "SQUARE";
+    return "-";
+  }
+
+  function nudge(field, dir, holdMs, modifier) {
+    const flag = ROTATION_FIELDS.has(field) ? "rotation" : "position";
+    if (!state.override[flag]) return; // fields are locked until overridden
+    const curve = curves[flag][modifier];
+    const dist = Math.max(curve.step, (curve.perSec * holdMs) / 1000);
+    let v = round3(state.values[field] + dir * dist);
+    if (flag === "rotation") v = round3(wrap(v, 360));
+    state.values[field] = v;
+  }
+
+  function place() {
+    const entry = currentEntry();
+    const v = state.values;
+    const record = {
+      n: placed.length,
+      model: entry?.modelNumber ?? null,
+      modelName: entry?.modelName ?? null,
+      subcat: state.subcat,
+      item: state.item,
+      location: { x: v.x, y: v.y, z: v.z },
+      rotation: { x: to180(v.rx), y: to180(v.ry), z: to180(v.rz) },
+    };
+    placed.push(record);
+    if (placedFile) appendFileSync(placedFile, JSON.stringify(record) + "\n", "utf-8");
+    // A fresh prop starts with both overrides off
+    state.override.position = false;
+    state.override.rotation = false;
+  }
+
+  function press(button) {
+    const frame = top();
+    const rows = MENUS[frame.menu].rows;
+    const row = rows[frame.cursor];
+
+    switch (button) {
+      case "DPAD_UP":
+      case "DPAD_DOWN":
+        frame.cursor = wrap(frame.cursor + (button === "DPAD_DOWN" ? 1 : -1), rows.length);
+        break;
+      case "DPAD_LEFT":
+      case "DPAD_RIGHT": {
+        const d = button === "DPAD_RIGHT" ? 1 : -1;
+        if (row.kind === "subcat") {
+          state.subcat = wrap(state.subcat + d, subcatCount());
+          state.item = 0;
+        } else if (row.kind === "item") {
+          state.item = wrap(state.item + d, itemCount());
+        }
+        break;
+      }
+      case "CROSS":
+        if (row.open) state.stack.push({ menu: row.open, cursor: 0 });
+        else if (row.kind === "toggle") state.override[row.flag] = !state.override[row.flag];
+        else if (row.field) place();
+        break;
+      case "CIRCLE":
+        if (state.stack.length > 1) state.stack.pop();
+        break;
+    }
+  }
+
+  function keyDown(key) {
+    const button = buttonOf.get(key);
+    if (!button || state.down.has(button)) return;
+    const at = nowMs();
+    state.down.set(button, { at, modifier: modifierHeld() });
+
+    if (button === "SQUARE" || button === "TRIANGLE") return;
+    const onField =
+      (button === "DPAD_LEFT" || button === "DPAD_RIGHT") && rowOf().field;
+    if (onField) return; // moves on release, by hold duration
+
+    if (at - state.lastPressAt < minPressGapMs) {
+      state.dropped += 1;
+      return;
+    }
+    state.lastPressAt = at;
+    press(button);
+  }
+
+  function keyUp(key) {
+    const button = buttonOf.get(key);
+    const down = button && state.down.get(button);
+    if (!down) return;
+    state.down.delete(button);
+
+    const field = rowOf().field;
+    if (field && (button === "DPAD_LEFT" || button === "DPAD_RIGHT")) {
+      nudge(field, button === "DPAD_RIGHT" ? 1 : -1, nowMs() - down.at, down.modifier);
+    }
+  }
+
+  /** Full-screen PNG of the open menu. */
+  function renderScreen() {
+    const frame = top();
+    const menu = MENUS[frame.menu];
+    const esc = (s) => String(s).replace(/[<>&"]/g, (c) => `&#${c.charCodeAt(0)};`);
+    const parts = [
+      `<rect width="100%" height="100%" fill="#101418"/>`,
+      `<text x="380" y="60" font-size="30" fill="#ffffff">${esc(menu.title)}</text>`,
+    ];
+
+    // Rows are labelled on the left; field values go in their OCR regions
+    menu.rows.forEach((row, i) => {
+      const region = row.field && FIELD_REGIONS[row.field];
+      const y = region ? region.top : 92 + 38 * i;
+      const fill = i === frame.cursor ? "#ffd24a" : "#c8c8c8";
+      parts.push(`<text x="380" y="${y + 26}" font-size="22" fill="${fill}">${esc(row.label)}</text>`);
+
+      let value = null;
+      if (row.kind === "subcat") value = catalog[state.subcat]?.name ?? "-";
+      else if (row.kind === "item") value = currentEntry()?.inGameLabel ?? currentEntry()?.modelName ?? "-";
+      else if (row.kind === "toggle") value = state.override[row.flag] ? "On" : "Off";
+      if (value != null) {
+        parts.push(`<text x="600" y="${y + 26}" font-size="22" fill="${fill}">${esc(value)}</text>`);
+      }
+
+      if (region) {
+        parts.push(
+          `<text x="${region.left + 6}" y="${region.top + 28}" font-family="DejaVu Sans Mono, monospace" font-size="26" fill="#ffffff">${state.values[row.field].toFixed(3)}</text>`
+        );
+      }
+    });
+    if (frame.menu === "props") {
+      parts.push(`<text x="380" y="420" font-size="18" fill="#808080">placed: ${placed.length}</text>`);
+    }
+
+    const svg =
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${SCREEN.width}" height="${SCREEN.height}" font-family="DejaVu Sans, sans-serif">` +
+      parts.join("") +
+      `</svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+  }
+
+  return {
+    keyDown,
+    keyUp,
+    renderScreen,
+    placed,
+    /** Snapshot for tests and debugging. */
+    snapshot() {
+      const frame = top();
+      return {
+        menu: frame.menu,
+        cursor: frame.cursor,
+        row: rowOf(frame).label,
+        subcat: state.subcat,
+        item: state.item,
+        entry: currentEntry()?.modelName ?? null,
+        override: { ...state.override },
+        values: { ...state.values },
+        dropped: state.dropped,
+        placed: placed.length,
+      };
+    },
+  };
+}
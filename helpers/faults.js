@@ -0,0 +1,199 @@
+// helpers/faults.js
+// Opt-in fault injection, so failures seen on real runs can be reproduced on
+// demand (usually against the simulator: GTA_INPUT_BACKEND=sim).
+//
+//  - capture: frame-hitch latency, pixel noise, crop shifted by a few px
+//  - ocr:     character substitutions in the value extractText returns
+//  - input:   key-up delivered late (the hold lasts longer than measured)
+//
+// Everything is driven by a seeded PRNG, one stream per fault kind, so the
+// same seed + config injects the same faults at the same points of a run.
+// Enable in config/input.json → faults, or with GTA_FAULTS=1 / GTA_FAULT_SEED.
+
+import { sleep } from "./sleep.js";
+import { loadInputConfig } from "./inputConfig.js";
+
+// Characters OCR tends to confuse, and what they come out as ("" = dropped)
+const OCR_CONFUSIONS = {
+  0: ["8", "6"],
+  1: ["7", "4"],
+  3: ["8"],
+  5: ["6", "3"],
+  6: ["5", "8"],
+  7: ["1"],
+  8: ["3", "0", "6"],
+  9: ["8"],
+  ".": ["", ","],
+  "-": [""],
+};
+
+/** mulberry32: small, fast, seedable. Returns floats in [0, 1). */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Independent stream per kind: enabling one fault doesn't shift the others
+function stream(seed, name) {
+  let h = seed >>> 0;
+  for (const ch of name) h = Math.imul(h ^ ch.charCodeAt(0), 0x9e3779b1) >>> 0;
+  return mulberry32(h);
+}
+
+const DEFAULTS = {
+  enabled: false,
+  seed: 1,
+  capture: {
+    latencyRate: 0,
+    latencyMs: 120, // up to this much extra delay before grabbing the frame
+    noiseRate: 0,
+    noiseAmount: 40, // ± per channel
+    shiftRate: 0,
+    shiftPx: 3, // crop moved by up to ± this many px on each axis
+  },
+  ocr: {
+    substituteRate: 0,
+  },
+  input: {
+    lateKeyUpRate: 0,
+    lateKeyUpMs: 40, // key-up arrives up to this much later than intended
+  },
+};
+
+/**
+ * @param {{
+ *   enabled?: boolean,
+ *   seed?: number,
+ *   capture?: { latencyRate?:number, latencyMs?:number, noiseRate?:number,
+ *               noiseAmount?:number, shiftRate?:number, shiftPx?:number },
+ *   ocr?: { substituteRate?: number },
+ *   input?: { lateKeyUpRate?: number, lateKeyUpMs?: number },
+ * }} [cfg]
+ */
+export function createFaults(cfg = {}) {
+  const capture = { ...DEFAULTS.capture, ...cfg.capture };
+  const ocr = { ...DEFAULTS.ocr, ...cfg.ocr };
+  const input = { ...DEFAULTS.input, ...cfg.input };
+  const enabled = !!cfg.enabled;
+  const seed = Number(cfg.seed ?? DEFAULTS.seed) >>> 0;
+
+  const rng = {
+    capture: stream(seed, "capture"),
+    ocr: stream(seed, "ocr"),
+    input: stream(seed, "input"),
+  };
+  const counts = { latency: 0, noise: 0, shift: 0, substitute: 0, lateKeyUp: 0 };
+
+  const hit = (r, rate) => rate > 0 && r() < rate;
+  const between = (r, lo, hi) => lo + Math.floor(r() * (hi - lo + 1));
+  const note = (kind, msg) => {
+    counts[kind] += 1;
+    console.warn(`[faults] ${msg}`);
+  };
+
+  async function addNoise(png, amount) {
+    // Loaded here so input-only runs (robot/record/null) never load sharp
+    const { default: sharp } = await import("sharp");
+    const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+    for (let i = 0; i < data.length; i++) {
+      const v = data[i] + between(rng.capture, -amount, amount);
+      data[i] = v < 0 ? 0 : v > 255 ? 255 : v;
+    }
+    return sharp(data, { raw: info }).png().toBuffer();
+  }
+
+  function substitute(value) {
+    const text = Number.isFinite(value) ? value.toFixed(3) : String(value);
+    const spots = [...text].flatMap((ch, i) => (OCR_CONFUSIONS[ch] ? [i] : []));
+    if (!spots.length) return value;
+    const i = spots[Math.floor(rng.ocr() * spots.length)];
+    const options = OCR_CONFUSIONS[text[i]];
+    const swapped = text.slice(0, i) + options[Math.floor(rng.ocr() * options.length)] + text.slice(i + 1);
+    const out = /^-?\d*\.?\d+$/.test(swapped) ? Number(swapped) : NaN;
+    note("substitute", `ocr: "${text}" read as "${swapped}"`);
+    return out;
+  }
+
+  return {
+    enabled,
+    seed,
+
+    /** Wrap captureRegion(options). */
+    wrapCapture(captureRegion) {
+      if (!enabled) return captureRegion;
+      return async (options = {}) => {
+        if (hit(rng.capture, capture.latencyRate)) {
+          const ms = between(rng.capture, 1, capture.latencyMs);
+          note("latency", `capture: frame hitch +${ms}ms`);
+          await sleep(ms);
+        }
+
+        let region = options.region;
+        if (region && hit(rng.capture, capture.shiftRate)) {
+          const dx = between(rng.capture, -capture.shiftPx, capture.shiftPx);
+          const dy = between(rng.capture, -capture.shiftPx, capture.shiftPx);
+          region = { ...region, left: region.left + dx, top: region.top + dy };
+          note("shift", `capture: crop shifted by (${dx}, ${dy})`);
+        }
+
+        const res = await captureRegion({ ...options, region });
+        if (res.buffer && hit(rng.capture, capture.noiseRate)) {
+          note("noise", `capture: pixel noise ±${capture.noiseAmount}`);
+          res.buffer = await addNoise(res.buffer, capture.noiseAmount);
+        }
+        return res;
+      };
+    },
+
+    /** Wrap extractText(input, opts) → number. */
+    wrapExtract(extractText) {
+      if (!enabled) return extractText;
+      return async (...args) => {
+        const value = await extractText(...args);
+        return hit(rng.ocr, ocr.substituteRate) ? substitute(value) : value;
+      };
+    },
+
+    /**
+     * Wrap the hold `wait` of a tap: the key-up can arrive late, while the
+     * caller still gets the hold it asked for reported back.
+     */
+    wrapHold(wait) {
+      if (!enabled) return wait;
+      return async (ms) => {
+        const measured = await wait(ms);
+        if (hit(rng.input, input.lateKeyUpRate)) {
+          const late = between(rng.input, 1, input.lateKeyUpMs);
+          note("lateKeyUp", `input: key-up ${late}ms late`);
+          await sleep(late);
+        }
+        return measured;
+      };
+    },
+
+    stats() {
+      return { seed, ...counts };
+    },
+  };
+}
+
+let active = null;
+
+/** Process-wide faults, built from the "faults" section of config/input.json. */
+export function getFaults() {
+  if (!active) {
+    active = createFaults(loadInputConfig().faults);
+    if (active.enabled) console.warn(`[faults] injection enabled (seed ${active.seed})`);
+  }
+  return active;
+}
+
+export function setFaults(faults) {
+  active = faults;
+}
@@ -0,0 +1,80 @@
+// helpers/hash.js
+// GTA model hashes: Jenkins one-at-a-time (joaat) of the lower-cased model
+// name, a 32-bit value that shows up in three spellings:
+//   signed int32 (track JSON, e.g. -2102185892), unsigned (2192781404) and
+//   hex ("0x82B3305C"). Compare hashes through toUnsigned(), never Math.abs:
+//   |signed| is not the unsigned form.
+
+/** joaat(name) as an unsigned 32-bit number. */
+export function joaat(name) {
+  let h = 0;
+  for (const ch of String(name).toLowerCase()) {
+    h = (h + ch.charCodeAt(0)) >>> 0;
+    h = (h + (h << 10)) >>> 0;
+    h = (h ^ (h >>> 6)) >>> 0;
+  }
+  h = (h + (h << 3)) >>> 0;
+  h = (h ^ (h >>> 11)) >>> 0;
+  h = (h + (h << 15)) >>> 0;
+  return h;
+}
+
+/**
+ * Any spelling → unsigned 32-bit number: signed or unsigned integers, and
+ * hex strings ("0x82B3305C"). Returns null for anything else.
+ */
+export function toUnsigned(value) {
+  if (typeof value === "string") {
+    const hex = /^0x([0-9a-f]{1,8})$/i.exec(value.trim());
+    if (hex) return parseInt(hex[1], 16);
+    value = value.trim() === "" ? NaN : Number(value);
+  }
+  if (!Number.isInteger(value) || value < -0x80000000 || value > 0xffffffff) return null;
+  return value >>> 0;
+}
+
+export function toSigned(value) {
+  const u = toUnsigned(value);
+  return u == null ? null : u | 0;
+}
+
+export function toHex(value) {
+  const u = toUnsigned(value);
+  return u == null ? null : `0x${u.toString(16).toUpperCase().padStart(8, "0")}`;
+}
+
+/** Same model hash, whatever the spelling of each side. */
+export function sameHash(a, b) {
+  const ua = toUnsigned(a);
+  return ua != null && ua === toUnsigned(b);
+}
+
+/**
+ * Check a propMenu.json entry's modelNumber / hashUnsigned / hashHex against
+ * each other and against joaat(modelName).
+ * @returns {string[]} problems, empty when consistent
+ */
+export function checkEntryHashes(entry) {
+  const problems = [];
+  const unsigned = toUnsigned(entry.modelNumber);
+  if (unsigned == null) {
+    return [`modelNumber ${JSON.stringify(entry.modelNumber)} is not a 32-bit hash`];
+  }
+
+  if (entry.hashUnsigned != null && toUnsigned(entry.hashUnsigned) !== unsigned) {
+    problems.push(`hashUnsigned ${entry.hashUnsigned} ≠ modelNumber ${entry.modelNumber} (${unsigned})`);
+  }
+  if (entry.hashHex != null && toUnsigned(entry.hashHex) !== unsigned) {
+    problems.push(`hashHex ${entry.hashHex} ≠ modelNumber ${entry.modelNumber} (${toHex(unsigned)})`);
+  }
+  if (entry.modelName) {
+    const expected = joaat(entry.modelName);
+    if (expected !== unsigned) {
+      problems.push(
+        `joaat("${entry.modelName}") is ${expected} / ${toSigned(expected)} / ${toHex(expected)}, ` +
+          `not modelNumber ${entry.modelNumber}`
+      );
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,84 @@
+// helpers/holdTimer.js
+// Precise key holds. setTimeout alone can't hold 4–16 ms reliably (it wakes
+// late by a few ms), so a hold is split into:
+//   1) an abort-aware sleep for the bulk, shortened by the running estimate
+//      of how late the timer wakes up (overshoot correction)
+//   2) a busy-wait on process.hrtime for the last SPIN_MS
+// The measured hold is returned and logged into per-session jitter stats.
+
+import { sleep } from "./sleep.js";
+
+const SPIN_MS = 2;
+const EMA_ALPHA = 0.2;
+
+const S = {
+  overshootMs: 1, // running estimate of timer lateness
+  samples: [], // { requested, actual }
+};
+
+const nowMs = () => Number(process.hrtime.bigint()) / 1e6;
+
+/**
+ * Wait `ms` as precisely as possible and return the measured duration.
+ * Drop-in replacement for sleep() as the `wait` of a backend tap().
+ * @param {number} ms
+ * @returns {Promise<number>} measured milliseconds
+ */
+export async function preciseHold(ms) {
+  const requested = Math.max(0, Number(ms) || 0);
+  const start = nowMs();
+  const end = start + requested;
+
+  const coarse = requested - SPIN_MS - S.overshootMs;
+  if (coarse >= 1) {
+    const before = nowMs();
+    await sleep(coarse);
+    const late = nowMs() - before - coarse;
+    S.overshootMs = Math.max(0, (1 - EMA_ALPHA) * S.overshootMs + EMA_ALPHA * late);
+  }
+
+  while (nowMs() < end) {
+    // spin
+  }
+
+  const actual = nowMs() - start;
+  S.samples.push({ requested, actual });
+  return actual;
+}
+
+/**
+ * Jitter summary for every hold taken this session.
+ * Error = measured − requested (ms).
+ */
+export function getHoldStats() {
+  const n = S.samples.length;
+  if (n === 0) return { count: 0 };
+
+  const errs = S.samples.map((s) => s.actual - s.requested);
+  const mean = errs.reduce((a, b) => a + b, 0) / n;
+  const variance = errs.reduce((a, e) => a + (e - mean) ** 2, 0) / n;
+  const sorted = [...errs].sort((a, b) => a - b);
+  const p95 = sorted[Math.min(n - 1, Math.floor(n * 0.95))];
+
+  const r3 = (v) => Number(v.toFixed(3));
+  return {
+    count: n,
+    meanErrMs: r3(mean),
+    stdevMs: r3(Math.sqrt(variance)),
+    minErrMs: r3(sorted[0]),
+    maxErrMs: r3(sorted[n - 1]),
+    p95ErrMs: r3(p95),
+    overshootEstMs: r3(S.overshootMs),
+  };
+}
+
+export function printHoldStats(label = "Hold timing") {
+  const stats = getHoldStats();
+  if (!stats.count) return;
+  console.log(`\n${label} (measured − requested, ms):`);
+  console.table([stats]);
+}
+
+export function resetHoldStats() {
+  S.samples.length = 0;
+}
@@ -0,0 +1,188 @@
+// helpers/inputBackend.js
+// Pluggable input backends. Every backend exposes the same surface:
+//   keyDown(key), keyUp(key), tap(key, holdMs, wait?) → measured hold ms
+// where `key` is the raw keyboard key (e.g. "enter", "s", "right").
+//
+//  - robot:  sends real key events through robotjs
+//  - record: sends nothing, appends a timestamped timeline to a JSONL file
+//  - null:   sends nothing (holds still take their time)
+//  - sim:    drives the headless Creator simulator and makes it the screen
+//            that captureRegion() reads (see helpers/creatorSim.js)
+
+import { appendFileSync, readFileSync } from "fs";
+import { createRequire } from "module";
+import { loadInputConfig } from "./inputConfig.js";
+
+const require = createRequire(import.meta.url);
+
+// The simulator and the capture module pull in sharp and screenshot-desktop;
+// only the sim backend needs them, so they are loaded on demand
+let simModules = null;
+
+/** Load the sim backend's modules. Done at import when sim is configured. */
+export async function loadSimModules() {
+  if (!simModules) {
+    const [creatorSim, capture] = await Promise.all([
+      import("./creatorSim.js"),
+      import("../capture-window.js"),
+    ]);
+    simModules = { ...creatorSim, setScreenSource: capture.setScreenSource };
+  }
+  return simModules;
+}
+
+if (String(loadInputConfig().backend).toLowerCase() === "sim") await loadSimModules();
+
+const timerWait = (ms) => new Promise((resolve) => setTimeout(() => resolve(ms), ms));
+
+// Always releases key even if `wait` rejects/aborts during the hold.
+// Resolves with whatever `wait` reports (the measured hold for preciseHold).
+async function holdTap(backend, key, holdMs, wait = timerWait) {
+  backend.keyDown(key);
+  try {
+    return await wait(holdMs);
+  } finally {
+    backend.keyUp(key);
+  }
+}
+
+export function createRobotBackend() {
+  // Loaded lazily so the record/null backends work without robotjs installed
+  const robot = require("robotjs");
+
+  const backend = {
+    name: "robot",
+    keyDown(key) {
+      robot.keyToggle(key, "down");
+    },
+    keyUp(key) {
+      robot.keyToggle(key, "up");
+    },
+    tap(key, holdMs, wait) {
+      return holdTap(backend, key, holdMs, wait);
+    },
+  };
+  return backend;
+}
+
+/**
+ * Recording backend: one JSON object per line, e.g.
+ *   {"t":1234.567,"at":"2025-01-01T12:00:00.000Z","event":"down","key":"right"}
+ * `t` is milliseconds since the backend was created (process.hrtime based).
+ */
+export function createRecordingBackend({ recordFile = "input-timeline.jsonl" } = {}) {
+  const t0 = process.hrtime.bigint();
+
+  const write = (event, key) => {
+    const t = Number(process.hrtime.bigint() - t0) / 1e6;
+    const line = JSON.stringify({
+      t: Number(t.toFixed(3)),
+      at: new Date().toISOString(),
+      event,
+      key,
+    });
+    // Sync append so the timeline survives process.exit() on abort
+    appendFileSync(recordFile, line + "\n", "utf-8");
+  };
+
+  write("session", null);
+
+  const backend = {
+    name: "record",
+    file: recordFile,
+    keyDown(key) {
+      write("down", key);
+    },
+    keyUp(key) {
+      write("up", key);
+    },
+    tap(key, holdMs, wait) {
+      return holdTap(backend, key, holdMs, wait);
+    },
+  };
+  return backend;
+}
+
+export function createNullBackend() {
+  const backend = {
+    name: "null",
+    keyDown() {},
+    keyUp() {},
+    tap(key, holdMs, wait) {
+      return holdTap(backend, key, holdMs, wait);
+    },
+  };
+  return backend;
+}
+
+/**
+ * Simulator backend: key events go to a Creator model, and captures come
+ * from its rendered frames instead of the desktop.
+ * @param {{ sim?: { menuFile?:string, placedFile?:string|null, minPressGapMs?:number } }} [opts]
+ */
+export function createSimBackend({ sim: simOpts = {} } = {}) {
+  if (!simModules) {
+    throw new Error("Sim backend modules are not loaded: await loadSimModules() first");
+  }
+  const { createCreatorSim, catalogFromMenuFile, setScreenSource } = simModules;
+  const menuFile = simOpts.menuFile ?? new URL("../commands/propMenu.json", import.meta.url);
+  const catalog = catalogFromMenuFile(JSON.parse(readFileSync(menuFile, "utf-8")));
+  const sim = createCreatorSim({ ...simOpts, catalog });
+  setScreenSource(() => sim.renderScreen());
+
+  const backend = {
+    name: "sim",
+    sim,
+    keyDown(key) {
+      sim.keyDown(key);
+    },
+    keyUp(key) {
+      sim.keyUp(key);
+    },
+    tap(key, holdMs, wait) {
+      return holdTap(backend, key, holdMs, wait);
+    },
+  };
+  return backend;
+}
+
+const FACTORIES = {
+  robot: createRobotBackend,
+  record: createRecordingBackend,
+  null: createNullBackend,
+  sim: createSimBackend,
+};
+
+/**
+ * Build a backend by name ("robot" | "record" | "null" | "sim").
+ * @param {string} name
+ * @param {object} [opts] - passed to the factory (e.g. { recordFile } or { sim })
+ */
+export function createInputBackend(name, opts = {}) {
+  const factory = FACTORIES[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(
+      `Unknown input backend "${name}" (expected one of: ${Object.keys(FACTORIES).join(", ")})`
+    );
+  }
+  return factory(opts);
+}
+
+let active = null;
+
+/**
+ * The process-wide backend. Created on first use from config/input.json
+ * or the GTA_INPUT_BACKEND env var.
+ */
+export function getInputBackend() {
+  if (!active) {
+    const cfg = loadInputConfig();
+    active = createInputBackend(cfg.backend, cfg);
+  }
+  return active;
+}
+
+/** Swap the process-wide backend (e.g. a simulator or a test double). */
+export function setInputBackend(backend) {
+  active = backend;
+}
@@ -0,0 +1,86 @@
+// helpers/inputConfig.js
+import { readFileSync } from "fs";
+
+const DEFAULT_CONFIG_URL = new URL("../config/input.json", import.meta.url);
+
+const DEFAULTS = {
+  backend: "robot",
+  recordFile: "input-timeline.jsonl",
+  profile: "pc-default",
+  profileFile: "config/keyProfiles.json",
+  pacing: {
+    minGapMs: 225,
+    settleMs: 225,
+    debounceMs: {},
+    adaptive: { enabled: false },
+  },
+  sim: {
+    placedFile: "sim-placed.jsonl",
+    minPressGapMs: 0,
+  },
+  faults: {
+    enabled: false,
+    seed: 1,
+  },
+};
+
+let cached = null;
+
+/**
+ * Load input settings from config/input.json (or GTA_INPUT_CONFIG),
+ * then apply env overrides:
+ *  - GTA_INPUT_BACKEND      "robot" | "record" | "null" | "sim"
+ *  - GTA_INPUT_RECORD_FILE  JSONL path used by the recording backend
+ *  - GTA_KEY_PROFILE        key-binding profile name (e.g. "custom")
+ *  - GTA_KEY_PROFILE_FILE   JSON file holding the named profiles
+ *  - GTA_PACING_GAP_MS      minimum gap between presses (ms)
+ *  - GTA_PACING_ADAPTIVE    "1" to enable adaptive pacing, "0" to disable
+ *  - GTA_FAULTS             "1" to enable fault injection, "0" to disable
+ *  - GTA_FAULT_SEED         seed for the fault injection PRNG
+ *
+ * The result is cached; pass { reload: true } to re-read the file.
+ */
+export function loadInputConfig({ reload = false } = {}) {
+  if (cached && !reload) return cached;
+
+  const file = process.env.GTA_INPUT_CONFIG || DEFAULT_CONFIG_URL;
+  let fromFile = {};
+  try {
+    fromFile = JSON.parse(readFileSync(file, "utf-8"));
+  } catch (err) {
+    // Missing file is fine (defaults apply); a broken one is not.
+    if (err.code !== "ENOENT") {
+      throw new Error(`Failed to read input config ${file}: ${err.message}`);
+    }
+  }
+
+  const cfg = { ...DEFAULTS, ...fromFile };
+  cfg.pacing = {
+    ...DEFAULTS.pacing,
+    ...fromFile.pacing,
+    adaptive: { ...DEFAULTS.pacing.adaptive, ...fromFile.pacing?.adaptive },
+  };
+  cfg.sim = { ...DEFAULTS.sim, ...fromFile.sim };
+  cfg.faults = { ...DEFAULTS.faults, ...fromFile.faults };
+
+  if (process.env.GTA_INPUT_BACKEND) cfg.backend = process.env.GTA_INPUT_BACKEND;
+  if (process.env.GTA_INPUT_RECORD_FILE) {
+    cfg.recordFile = process.env.GTA_INPUT_RECORD_FILE;
+  }
+  if (process.env.GTA_KEY_PROFILE) cfg.profile = process.env.GTA_KEY_PROFILE;
+  if (process.env.GTA_KEY_PROFILE_FILE) {
+    cfg.profileFile = process.env.GTA_KEY_PROFILE_FILE;
+  }
+  if (process.env.GTA_PACING_GAP_MS) {
+    cfg.pacing.minGapMs = Number(process.env.GTA_PACING_GAP_MS);
+  }
+  if (process.env.GTA_PACING_ADAPTIVE) {
+    cfg.pacing.adaptive.enabled = process.env.GTA_PACING_ADAPTIVE === "1";
+  }
+
+  if (process.env.GTA_FAULTS) cfg.faults.enabled = process.env.GTA_FAULTS === "1";
+  if (process.env.GTA_FAULT_SEED) cfg.faults.seed = Number(process.env.GTA_FAULT_SEED);
+
+  cached = cfg;
+  return cfg;
+}
@@ -1,60 +1,240 @@
-import robot from "robotjs";
-import { sleep } from "../helpers/sleep.js";
+import { preciseHold } from "./holdTimer.js";
+import { getInputBackend } from "./inputBackend.js";
+import { loadBindings, resolveKey } from "./bindings.js";
+import { getPacer } from "./pacing.js";
+import { sleep } from "./sleep.js";
+import { getFaults } from "./faults.js";
 
 // ---------------- Mappings & helpers ----------------
-const PS_MAP = {
-  CROSS: "enter",
-  CIRCLE: "backspace",
-  SQUARE: "s",
-  TRIANGLE: "c",
-  DPAD_UP: "up",
-  DPAD_DOWN: "down",
-  DPAD_LEFT: "left",
-  DPAD_RIGHT: "right",
-  L1: "q",
-  L2: "w",
-  R1: "e",
-  R2: "r",
-};
+// Validate the key profile at startup so a bad mapping fails before any input
+loadBindings();
 
+// ---------------- Held-key registry ----------------
+// Every raw key currently down (via keyDown or mid-tap), so any exit path
+// can release exactly what is held.
+const held = new Set();
+
+/** Raw keys currently held down. */
+export function heldKeys() {
+  return [...held];
+}
+
+/**
+ * Release every key that is currently down. Safe to call repeatedly and
+ * from exit handlers (synchronous; a failing keyUp does not stop the rest).
+ * @returns {string[]} the keys that were released
+ */
+export function releaseAll() {
+  const released = [...held];
+  for (const key of released) {
+    try {
+      getInputBackend().keyUp(key);
+    } catch (err) {
+      console.error(`releaseAll: failed to release "${key}":`, err?.message || err);
+    }
+    held.delete(key);
+  }
+  return released;
+}
+
+function onFatal(kind) {
+  return (err) => {
+    const released = releaseAll();
+    console.error(`\n${kind}:`, err);
+    if (released.length) console.error(`Released held keys: ${released.join(", ")}`);
+    process.exit(1);
+  };
+}
+
+const GKEY = "__keys_release_wired__";
+if (!globalThis[GKEY]) {
+  globalThis[GKEY] = true;
+  process.on("exit", releaseAll);
+  process.on("uncaughtException", onFatal("Uncaught exception"));
+  process.on("unhandledRejection", onFatal("Unhandled rejection"));
+}
+
+// Returns the total measured hold time across all taps
 export async function repeat(name, times, holdMs = 225) {
+  let measured = 0;
   for (let i = 0; i < times; i++) {
-    await tapName(name, holdMs);
+    measured += await tapName(name, holdMs);
   }
+  return measured;
 }
 
 export function keyDownName(name) {
 //  console.log(name);
-  const key = PS_MAP[name.toUpperCase()];
-  robot.keyToggle(key, "down");
+  keyDown(resolveKey(name));
 }
 export function keyUpName(name) {
-  const key = PS_MAP[name.toUpperCase()];
-  robot.keyToggle(key, "up");
+  keyUp(resolveKey(name));
 }
 
 export function keyDown(key) {
-  robot.keyToggle(key, "down");
+  held.add(key);
+  getInputBackend().keyDown(key);
 }
 
 export function keyUp(key) {
-  robot.keyToggle(key, "up");
+  getInputBackend().keyUp(key);
+  held.delete(key);
 }
 
-// Always releases key even if aborted during hold
+// Always releases key even if aborted during hold.
+// Returns the measured hold (ms), which can differ from holdMs by timer jitter.
+// Solo taps are paced (min gap / debounce); taps inside a held chord are not.
 export async function tap(key, holdMs = 225) {
 //  console.log("tap " + key + " " + holdMs);
-  keyDown(key);
+  const solo = held.size === 0;
+  if (solo) await getPacer().before(key);
+  held.add(key);
   try {
-    await sleep(holdMs);
+    return await getInputBackend().tap(key, holdMs, getFaults().wrapHold(preciseHold));
   } finally {
-    keyUp(key);
+    held.delete(key);
+    if (solo) getPacer().after(key);
   }
 }
 
+/** Wait for the menu to redraw after the last press, before a screen capture. */
+export async function settle() {
+  await getPacer().settle();
+}
+
+/** Tell the pacer a menu step was missed so adaptive pacing backs off. */
+export function reportMissedStep(reason) {
+  getPacer().reportMiss(reason);
+}
+
 export async function tapName(name, holdMs = 225) {
 // console.log("tapName " + name + " " + holdMs);
-  const key = PS_MAP[name.toUpperCase()];
-  if (!key) throw new Error(`Unknown button: ${name}`);
-  await tap(key, holdMs);
+  const key = resolveKey(name);
+  return tap(key, holdMs);
+}
+
+// ---------------- Chords & sequences ----------------
+// null / "" / "-" mean "no button" (how plans mark an unmodified step)
+const isNoButton = (name) => name == null || name === "" || name === "-";
+
+/**
+ * Hold every button in `names` (pressed in order, released in reverse) while
+ * `body` runs. `body` is an async function, or a number of ms to just hold.
+ * lead: wait after pressing, before body. tail: wait after body, before release.
+ * Buttons are released even if body throws or the run is aborted.
+ * @param {string|string[]} names - button name(s); "-" / null entries are skipped
+ * @param {(() => Promise<any>)|number} body
+ * @param {{ lead?: number, tail?: number }} [opts]
+ * @returns {Promise<any>} body's result (measured ms when body is a number)
+ */
+export async function chord(names, body, { lead = 0, tail = 0 } = {}) {
+  const keys = [].concat(names).filter((n) => !isNoButton(n)).map(resolveKey);
+  const run = typeof body === "function" ? body : () => preciseHold(body);
+  if (keys.length === 0) return run();
+
+  // The chord as a whole is paced like a solo tap; taps inside it are not
+  const solo = held.size === 0;
+  if (solo) for (const key of keys) await getPacer().before(key);
+
+  const pressed = [];
+  try {
+    for (const key of keys) {
+      keyDown(key);
+      pressed.push(key);
+    }
+    if (lead > 0) await sleep(lead);
+    return await run();
+  } finally {
+    try {
+      if (tail > 0) await sleep(tail);
+    } finally {
+      for (const key of pressed.reverse()) keyUp(key);
+      if (solo) for (const key of pressed) getPacer().after(key);
+    }
+  }
+}
+
+/**
+ * Hold `modifier` and tap `name` `times` times, e.g. hold SQUARE and tap
+ * DPAD_RIGHT for 120 ms. A missing modifier ("-" / null) taps without one.
+ * @param {string|null} modifier
+ * @param {string} name
+ * @param {{ times?: number, holdMs?: number, gapMs?: number, lead?: number, tail?: number }} [opts]
+ * @returns {Promise<number>} total measured hold of the taps
+ */
+export async function holdWhileTapping(
+  modifier,
+  name,
+  { times = 1, holdMs = 225, gapMs = 0, lead = 0, tail = 0 } = {}
+) {
+  return chord(
+    modifier,
+    async () => {
+      let measured = 0;
+      for (let i = 0; i < times; i++) {
+        if (i > 0 && gapMs > 0) await sleep(gapMs);
+        measured += await tapName(name, holdMs);
+      }
+      return measured;
+    },
+    { lead, tail }
+  );
+}
+
+/**
+ * Run a timed sequence described as an array of steps (MenuScript-style ops):
+ *   { op: "tap",    key, ms? }          tap one button (ms defaults to 225)
+ *   { op: "repeat", key, times, ms? }   tap it `times` times
+ *   { op: "down",   key }               press and keep holding
+ *   { op: "up",     key }               release
+ *   { op: "chord",  keys, ms }          hold several buttons together for ms
+ *   { op: "hold",   modifier, key, times?, ms?, lead?, tail? }
+ *   { op: "wait",   ms }
+ * Anything still held by a "down" step is released when the sequence ends.
+ * @param {Array<object>} steps
+ * @returns {Promise<number>} total measured hold of all taps/chords
+ */
+export async function sequence(steps) {
+  const downs = new Set();
+  let measured = 0;
+  try {
+    for (const [i, step] of steps.entries()) {
+      const ms = step.ms ?? 225;
+      switch (step.op) {
+        case "tap":
+          measured += await tapName(step.key, ms);
+          break;
+        case "repeat":
+          measured += await repeat(step.key, step.times ?? 1, ms);
+          break;
+        case "down":
+          keyDownName(step.key);
+          downs.add(step.key);
+          break;
+        case "up":
+          keyUpName(step.key);
+          downs.delete(step.key);
+          break;
+        case "chord":
+          measured += await chord(step.keys, ms);
+          break;
+        case "hold":
+          measured += await holdWhileTapping(step.modifier, step.key, {
+            times: step.times ?? 1,
+            holdMs: ms,
+            lead: step.lead,
+            tail: step.tail,
+          });
+          break;
+        case "wait":
+          await sleep(step.ms ?? 0);
+          break;
+        default:
+          throw new Error(`sequence: unknown op "${step.op}" at step ${i}`);
+      }
+    }
+  } finally {
+    for (const name of [...downs].reverse()) keyUpName(name);
+  }
+  return measured;
 }
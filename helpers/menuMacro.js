@@ -0,0 +1,80 @@
+// helpers/menuMacro.js
+import fs from "fs/promises";
+import { sameHash } from "./hash.js";
+
+export const PROP_MENU_FILE = new URL("../commands/propMenu.json", import.meta.url);
+
+/**
+ * Collapse a list of button presses into MenuScript ops.
+ * Consecutive presses of the same button become one `repeat` op:
+ *   ["DPAD_RIGHT","DPAD_RIGHT","DPAD_DOWN"]
+ *   → [{op:"repeat",key:"DPAD_RIGHT",times:2},{op:"repeat",key:"DPAD_DOWN",times:1}]
+ * @param {string[]} presses
+ * @returns {Array<{op:"repeat",key:string,times:number}>}
+ */
+export function collapsePresses(presses) {
+  const ops = [];
+  for (const key of presses) {
+    const last = ops[ops.length - 1];
+    if (last && last.key === key) {
+      last.times += 1;
+    } else {
+      ops.push({ op: "repeat", key, times: 1 });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Serialize menu entries the way commands/*.json are laid out by hand:
+ * 2-space indent, with each op object kept on a single line.
+ */
+export function formatMenuFile(entries) {
+  const json = JSON.stringify(entries, null, 2).replace(
+    /\{\n\s+("op": [^{}]*?)\n\s+\}/g,
+    (_, body) => `{ ${body.replace(/,\n\s+/g, ", ")} }`
+  );
+  return json + "\n";
+}
+
+export async function loadMenuFile(file = PROP_MENU_FILE) {
+  const raw = await fs.readFile(file, "utf-8");
+  const data = JSON.parse(raw);
+  if (!Array.isArray(data)) {
+    throw new Error(`Menu file format invalid: expected array (${file})`);
+  }
+  return data;
+}
+
+/**
+ * Replace (or add) one named block of an entry's menuCommands and save.
+ * Blocks keep their existing position; a new "enter" goes first, anything
+ * else is appended.
+ * @param {{file?:string|URL, modelNumber:number, blockName:string, ops:Array}} args
+ * @returns {Promise<object>} the updated entry
+ */
+export async function saveMenuBlock({
+  file = PROP_MENU_FILE,
+  modelNumber,
+  blockName,
+  ops,
+}) {
+  const entries = await loadMenuFile(file);
+  const entry = entries.find((e) => sameHash(e.modelNumber, modelNumber));
+  if (!entry) {
+    throw new Error(`modelNumber ${modelNumber} not found in ${file}`);
+  }
+
+  entry.menuCommands = Array.isArray(entry.menuCommands) ? entry.menuCommands : [];
+  const existing = entry.menuCommands.find((b) => b[blockName]);
+  if (existing) {
+    existing[blockName] = ops;
+  } else if (blockName === "enter") {
+    entry.menuCommands.unshift({ enter: ops });
+  } else {
+    entry.menuCommands.push({ [blockName]: ops });
+  }
+
+  await fs.writeFile(file, formatMenuFile(entries), "utf-8");
+  return entry;
+}
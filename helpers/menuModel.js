@@ -0,0 +1,288 @@
+// helpers/menuModel.js
+// Symbolic model of the Creator's prop menu, used to check MenuScript blocks
+// without the game (see verifyMenu.js).
+//
+//  - row 0 cycles subcategories (wrapping); changing it resets the item to 0
+//  - row 1 cycles the items of the current subcategory (wrapping)
+//  - other rows are options: LEFT/RIGHT there changes the prop, not the cursor
+//
+// Counts in commands/propCatalog.json may be unknown (null). Positions are
+// then kept as plain offsets: modulo the count, an offset of -1 is "last",
+// and an offset only comes back to 0 if the count divides it. Nothing that
+// depends on the count is decided then: wraparound stays unchecked.
+
+import fs from "fs/promises";
+import { checkEntryHashes } from "./hash.js";
+
+export const PROP_CATALOG_FILE = new URL("../commands/propCatalog.json", import.meta.url);
+
+export async function loadCatalog(file = PROP_CATALOG_FILE) {
+  const raw = await fs.readFile(file, "utf-8");
+  const catalog = JSON.parse(raw);
+  if (!Array.isArray(catalog.rows) || !Array.isArray(catalog.subcategories)) {
+    throw new Error(`Catalog format invalid: expected rows[] and subcategories[] (${file})`);
+  }
+  return catalog;
+}
+
+const mod = (a, n) => ((a % n) + n) % n;
+
+// Smallest count that keeps every known (distinct) index on its own slot
+function minCount(indexes) {
+  if (indexes.length === 0) return 1;
+  let n = Math.max(1, ...indexes.map((i) => (i >= 0 ? i + 1 : -i)));
+  while (new Set(indexes.map((i) => mod(i, n))).size < indexes.length) n++;
+  return n;
+}
+
+/**
+ * Canonical slot of an offset: absolute index (>= 0), index from the end
+ * (< 0), or null when it can't be told without the count.
+ */
+function slotOf(offset, count, min) {
+  if (count) return mod(offset, count);
+  if (offset >= 0 && offset < min) return offset;
+  if (offset < 0 && offset >= -min) return offset;
+  return null;
+}
+
+/**
+ * Does `offset` land back on 0? true / false, or the list of counts for
+ * which it would (when the count is unknown).
+ */
+function backToZero(offset, count, min) {
+  if (count) return mod(offset, count) === 0;
+  if (offset === 0) return true;
+  const a = Math.abs(offset);
+  const counts = [];
+  for (let n = min; n <= a; n++) if (a % n === 0) counts.push(n);
+  return counts.length ? counts : false;
+}
+
+const fmtSlot = (slot, offset) =>
+  slot == null ? `${offset >= 0 ? "+" : ""}${offset}?` : slot < 0 ? `end${slot}` : String(slot);
+
+/**
+ * @param {{ rows:string[], subcategoryCount:number|null,
+ *   subcategories:Array<{index:number, cat:string, subcat:string,
+ *     itemCount:number|null, verified?:boolean, items:Object<string,number>}> }} catalog
+ */
+export function createMenuModel(catalog) {
+  const subMin = minCount(catalog.subcategories.map((s) => s.index));
+  const subCount = catalog.subcategoryCount || null;
+
+  const subcatAt = (slot) =>
+    slot == null
+      ? null
+      : catalog.subcategories.find((s) => slotOf(s.index, subCount, subMin) === slot) ?? null;
+
+  const itemBounds = (sc) => ({
+    count: sc?.itemCount || null,
+    min: minCount(Object.values(sc?.items ?? {})),
+  });
+
+  /** Where a state is, in catalog terms. */
+  function locate(state) {
+    const subSlot = slotOf(state.subcat, subCount, subMin);
+    const sc = subcatAt(subSlot);
+    const { count, min } = itemBounds(sc);
+    const itemSlot = sc ? slotOf(state.item, count, min) : state.item === 0 ? 0 : null;
+    const model = sc
+      ? Object.entries(sc.items).find(([, i]) => slotOf(i, count, min) === itemSlot)?.[0] ?? null
+      : null;
+    return {
+      row: catalog.rows[state.row],
+      subSlot,
+      subcat: sc,
+      itemSlot,
+      model,
+      text:
+        `row ${state.row} (${catalog.rows[state.row]}), ` +
+        `subcat ${fmtSlot(subSlot, state.subcat)}${sc ? ` (${sc.subcat || sc.cat})` : ""}, ` +
+        `item ${fmtSlot(itemSlot, state.item)}`,
+    };
+  }
+
+  return {
+    start() {
+      return { row: 0, subcat: 0, item: 0 };
+    },
+
+    locate,
+
+    /**
+     * Apply MenuScript ops to a state.
+     * @returns {{ state:object, notes:Array<{level:"error"|"warn", msg:string}> }}
+     */
+    run(state, ops = []) {
+      const s = { ...state };
+      const notes = [];
+      for (const [i, op] of ops.entries()) {
+        if (op.op === "sleep") continue;
+        const times = op.op === "repeat" ? Number(op.times) || 0 : 1;
+        if (op.op !== "repeat" && op.op !== "tap") {
+          notes.push({ level: "error", msg: `op ${i}: unknown op "${op.op}"` });
+          continue;
+        }
+        switch (op.key) {
+          case "DPAD_UP":
+          case "DPAD_DOWN":
+            s.row = mod(s.row + (op.key === "DPAD_DOWN" ? times : -times), catalog.rows.length);
+            break;
+          case "DPAD_LEFT":
+          case "DPAD_RIGHT": {
+            const d = op.key === "DPAD_RIGHT" ? times : -times;
+            if (s.row === 0) {
+              s.subcat += d;
+              if (times > 0) s.item = 0;
+            } else if (s.row === 1) {
+              s.item += d;
+            } else {
+              notes.push({
+                level: "warn",
+                msg: `op ${i}: ${op.key} on "${catalog.rows[s.row]}" changes that option`,
+              });
+            }
+            break;
+          }
+          default:
+            notes.push({
+              level: "warn",
+              msg: `op ${i}: ${op.key} inside a navigation block (${locate(s).text})`,
+            });
+        }
+      }
+      return { state: s, notes };
+    },
+
+    /**
+     * Is the state back at the start (row 0, subcat 0, item 0)?
+     * @returns {{ ok:boolean|null, why:string }}
+     */
+    atStart(state) {
+      if (state.row !== 0) return { ok: false, why: `ends on row ${state.row} (${catalog.rows[state.row]})` };
+
+      const sub = backToZero(state.subcat, subCount, subMin);
+      if (sub === false) return { ok: false, why: `leaves subcategory at ${state.subcat >= 0 ? "+" : ""}${state.subcat}` };
+      if (Array.isArray(sub)) {
+        return {
+          ok: null,
+          why: `subcategory offset ${state.subcat} is back at 0 only if the subcategory count is ${sub.join(" or ")}`,
+        };
+      }
+
+      const { count, min } = itemBounds(subcatAt(0));
+      const item = backToZero(state.item, count, min);
+      if (item === false) return { ok: false, why: `leaves item at ${state.item}` };
+      if (Array.isArray(item)) {
+        return { ok: null, why: `item offset ${state.item} is back at 0 only if the item count is ${item.join(" or ")}` };
+      }
+      return { ok: true, why: "" };
+    },
+  };
+}
+
+/**
+ * Run every entry's enter block from the start, then its exit block from
+ * where enter left off (clone.js returns the cursor to the Prop row after
+ * placing), and collect what is wrong.
+ * `unverified` is set when enter lands in a subcategory marked
+ * "verified": false: its positions were taken from these same enter
+ * blocks, so landing on the listed item proves nothing for that entry.
+ * @param {Array} entries - parsed commands/propMenu.json
+ * @param {object} catalog - parsed commands/propCatalog.json
+ * @returns {Array<{modelNumber:number, modelName:string, enter:string|null,
+ *   exit:string|null, unverified:boolean, issues:Array<{level:"error"|"warn", msg:string}>}>}
+ */
+export function verifyMenuEntries(entries, catalog) {
+  const model = createMenuModel(catalog);
+  const results = [];
+  const cells = new Map(); // "subSlot/itemSlot" → result[]
+
+  for (const entry of entries) {
+    const issues = [];
+    const result = {
+      modelNumber: entry.modelNumber,
+      modelName: entry.modelName,
+      enter: null,
+      exit: null,
+      unverified: false,
+      issues,
+    };
+    results.push(result);
+
+    // ---- hashes: modelNumber / hashUnsigned / hashHex / joaat(modelName) ----
+    issues.push(...checkEntryHashes(entry).map((msg) => ({ level: "error", msg })));
+
+    const blocks = Array.isArray(entry.menuCommands) ? entry.menuCommands : [];
+    const enterOps = blocks.find((b) => b.enter)?.enter;
+    const exitOps = blocks.find((b) => b.exit)?.exit;
+    if (!enterOps?.length) issues.push({ level: "error", msg: "no enter block" });
+    if (!exitOps?.length) issues.push({ level: "error", msg: "no exit block" });
+    if (!enterOps?.length) continue;
+
+    // ---- enter: must land on this prop ----
+    const entered = model.run(model.start(), enterOps);
+    issues.push(...entered.notes.map((n) => ({ ...n, msg: `enter ${n.msg}` })));
+    const at = model.locate(entered.state);
+    result.enter = at.text;
+    result.unverified = at.subcat?.verified === false;
+
+    if (entered.state.row !== 1) {
+      issues.push({ level: "error", msg: `enter ends on row ${entered.state.row} (${at.row}), not on the Prop row` });
+    }
+
+    if (!at.subcat) {
+      issues.push({ level: "warn", msg: "enter lands in a subcategory the catalog does not know" });
+    } else {
+      const listed = at.subcat.items[entry.modelName];
+      const labelOk = at.subcat.cat === entry.cat && at.subcat.subcat === (entry.subcat ?? "");
+      if (at.model && at.model !== entry.modelName) {
+        issues.push({ level: "error", msg: `enter lands on ${at.model}, not ${entry.modelName}` });
+      } else if (listed === undefined && !labelOk) {
+        issues.push({
+          level: "error",
+          msg: `enter lands in "${at.subcat.cat} / ${at.subcat.subcat}", entry says "${entry.cat} / ${entry.subcat ?? ""}"`,
+        });
+      } else if (!labelOk) {
+        // Right cell, wrong label: the path is fine, the metadata is not
+        issues.push({
+          level: "warn",
+          msg: `cat/subcat "${entry.cat} / ${entry.subcat ?? ""}" differs from catalog "${at.subcat.cat} / ${at.subcat.subcat}"`,
+        });
+      }
+    }
+
+    const catalogHome = catalog.subcategories.find((sc) => entry.modelName in sc.items);
+    if (catalogHome && catalogHome !== at.subcat) {
+      issues.push({
+        level: "error",
+        msg: `catalog has ${entry.modelName} in "${catalogHome.subcat || catalogHome.cat}"`,
+      });
+    }
+
+    if (at.subSlot != null && at.itemSlot != null) {
+      const key = `${at.subSlot}/${at.itemSlot}`;
+      cells.set(key, [...(cells.get(key) ?? []), result]);
+    }
+
+    // ---- exit: must return to the start ----
+    if (!exitOps?.length) continue;
+    const exited = model.run({ ...entered.state, row: 1 }, exitOps);
+    issues.push(...exited.notes.map((n) => ({ ...n, msg: `exit ${n.msg}` })));
+    result.exit = model.locate(exited.state).text;
+    const back = model.atStart(exited.state);
+    if (back.ok === false) issues.push({ level: "error", msg: `exit does not return to the start: ${back.why}` });
+    if (back.ok === null) issues.push({ level: "error", msg: `exit may not return to the start: ${back.why}` });
+  }
+
+  for (const same of cells.values()) {
+    if (same.length < 2) continue;
+    for (const r of same) {
+      const others = same.filter((o) => o !== r).map((o) => o.modelName);
+      r.issues.push({ level: "error", msg: `enter lands on the same item as ${others.join(", ")}` });
+    }
+  }
+
+  return results;
+}
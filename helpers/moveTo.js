@@ -1,11 +1,10 @@
 // helpers/moveTo.js
-import { tapName, keyDownName, keyUpName, repeat } from "./keys.js";
+import { repeat, holdWhileTapping } from "./keys.js";
 import { readCurrent } from "./utils.js";
-import { sleep } from "./sleep.js";
 import { createRenderer } from "./ui.js";
 /**
  * Press using calibration. If repeats > 1, hold once and long-press (ms * repeats).
- * Returns msTotal actually tapped.
+ * Returns { msTotal, msActual }: the requested hold and the measured one.
  */
 export async function applyCalibratedBatch(
   dirKey,
@@ -14,26 +13,19 @@ export async function applyCalibratedBatch(
   lead = 30,
   tail = 10
 ) {
-  const hold = entry.heldKey && entry.heldKey !== "-" ? entry.heldKey : null;
   const msEach = Math.max(1, Math.round(entry.ms));
   const msTotal = Math.max(1, Math.round(msEach * repeats));
+  const msActual = await holdWhileTapping(entry.heldKey, dirKey, {
+    holdMs: msTotal,
+    lead,
+    tail,
+  });
 
-  if (hold) {
-    await keyDownName(hold);
-    if (lead > 0) await sleep(lead);
-    try {
-      await tapName(dirKey, msTotal);
-    } finally {
-      if (tail > 0) await sleep(tail);
-      await keyUpName(hold);
-    }
-  } else {
-    await tapName(dirKey, msTotal);
-  }
-
-  return msTotal;
+  return { msTotal, msActual };
 }
 
+const round3 = (v) => Number(Number(v).toFixed(3));
+
 /* ---------------------------------------------------------------------- */
 /* --------------------------- Planning helpers ------------------------- */
 /* ---------------------------------------------------------------------- */
@@ -219,11 +211,16 @@ export async function moveTo({
     throw new Error("calibration produced no valid steps");
   }
 
-  // Tolerance
-  const read = async () => {
-    const v = await readCurrent(region);
+  // Readback after a move is checked against where the move should land
+  // (garbled OCR / shifted crop are re-read, see readCurrent)
+  const read = async (expect) => {
+    const v = await readCurrent(region, axisLabel, expect ? { expect } : {});
     return Number(v);
   };
+  const landing = (before, dirKey, covered) => ({
+    value: before + (dirKey === dirKeys.positive ? covered : -covered),
+    tolerance: 0.25 * covered + 0.05,
+  });
   let current = await read();
   const span = Math.max(1, Math.abs(target) || Math.abs(current) || 1);
   const tol = Math.max(
@@ -266,18 +263,11 @@ export async function moveTo({
 
         for (const seg of aggAll.segments) {
           const hk = seg.heldKey;
-          if (hk && hk !== "-") {
-            await keyDownName(hk);
-            if (lead > 0) await sleep(lead);
-            try {
-              await tapName(dirKey, seg.msTotal);
-            } finally {
-              if (tail > 0) await sleep(tail);
-              await keyUpName(hk);
-            }
-          } else {
-            await tapName(dirKey, seg.msTotal);
-          }
+          const msActual = await holdWhileTapping(hk, dirKey, {
+            holdMs: seg.msTotal,
+            lead,
+            tail,
+          });
 
           rows.push({
             Batch: 0,
@@ -288,6 +278,7 @@ export async function moveTo({
             Repeats: seg.repeatsTotal,
             msEach: "(agg)",
             msTotal: seg.msTotal,
+            msActual: round3(msActual),
             Before: null,
             After: null,
             Delta: null,
@@ -295,7 +286,7 @@ export async function moveTo({
           });
         }
 
-        const after = await read();
+        const after = await read(landing(before, dirKey, aggAll.covered));
         const delta = after - before;
         const lastIdx = rows.length - 1;
         if (lastIdx >= 0) {
@@ -320,14 +311,14 @@ export async function moveTo({
       if (singleEntry) {
         const dirKey = remainingB > 0 ? dirKeys.positive : dirKeys.negative;
         const before = current;
-        const msTotal = await applyCalibratedBatch(
+        const { msTotal, msActual } = await applyCalibratedBatch(
           dirKey,
           singleEntry,
           1,
           lead,
           tail
         );
-        const after = await read();
+        const after = await read(landing(before, dirKey, singleEntry.step));
         const delta = after - before;
 
         rows.push({
@@ -339,6 +330,7 @@ export async function moveTo({
           Repeats: 1,
           msEach: singleEntry.ms,
           msTotal,
+          msActual: round3(msActual),
           Before: Number(before.toFixed(6)),
           After: Number(after.toFixed(6)),
           Delta: Number(delta.toFixed(6)),
@@ -372,7 +364,7 @@ export async function moveTo({
 
     // Compute repeats but avoid overstepping cap
     const repeats = Math.max(1, Math.floor(cap / chosen.step));
-    const msTotal = await applyCalibratedBatch(
+    const { msTotal, msActual } = await applyCalibratedBatch(
       dirKey,
       chosen,
       repeats,
@@ -381,7 +373,7 @@ export async function moveTo({
     );
 
     const before = current;
-    const after = await read();
+    const after = await read(landing(before, dirKey, chosen.step * repeats));
     const delta = after - before;
 
     rows.push({
@@ -391,6 +383,7 @@ export async function moveTo({
       Repeats: repeats,
       msEach: chosen.ms,
       msTotal,
+      msActual: round3(msActual),
       HeldKey: chosen.heldKey ?? "-",
       Before: Number(before.toFixed(6)),
       After: Number(after.toFixed(6)),
@@ -410,10 +403,16 @@ export async function moveTo({
     const dirKey = remaining > 0 ? dirKeys.positive : dirKeys.negative;
     const smallest = plan[plan.length - 1];
 
-    await applyCalibratedBatch(dirKey, smallest, 1, lead, tail);
+    const { msTotal, msActual } = await applyCalibratedBatch(
+      dirKey,
+      smallest,
+      1,
+      lead,
+      tail
+    );
 
     const before = current;
-    const after = await read();
+    const after = await read(landing(before, dirKey, smallest.step));
     const delta = after - before;
 
     rows.push({
@@ -422,7 +421,8 @@ export async function moveTo({
       StepSize: smallest.step,
       Repeats: 1,
       msEach: smallest.ms,
-      msTotal: smallest.ms,
+      msTotal,
+      msActual: round3(msActual),
       HeldKey: smallest.heldKey ?? "-",
       Before: Number(before.toFixed(6)),
       After: Number(after.toFixed(6)),
@@ -1,5 +1,5 @@
 // helpers/moveTo.js
-import { keyDownName, keyUpName, tapName } from "./keys.js";
+import { holdWhileTapping } from "./keys.js";
 import { readCurrent } from "./utils.js";
 
 async function difference(a, b) {
@@ -21,6 +21,8 @@ async function difference(a, b) {
  * @param {number} [opts.settleMs=50] - wait after a pass before re-reading
  * @param {boolean} [opts.verbose=true]
  * @param {number} [opts.current] - optional already-read current value
+ * @returns {Promise<{reached:boolean, attempts:number, final:number, error:number,
+ *   holds:Array<{heldKey:string, msTotal:number, msActual:number}>}>}
  */
 export async function moveTo(
   target,
@@ -33,9 +35,12 @@ export async function moveTo(
   const settleMs = opts.settleMs ?? 50;
   const verbose = opts.verbose ?? false;
 
-  const readNum = async () => Number((await readCurrent(region)).toFixed(6));
+  const readNum = async (expect) =>
+    Number((await readCurrent(region, "", { expect })).toFixed(6));
   const log = (...args) => { if (verbose) console.log(...args); };
 
+  const holds = []; // { heldKey, msTotal, msActual } per executed group
+
   // Start with provided current if available, else read
   let current = opts.current !== undefined ? Number(opts.current.toFixed(6)) : await readNum();
 
@@ -49,7 +54,7 @@ export async function moveTo(
 
     if (diffAbs <= tol) {
       log(`[moveTo] within tolerance (tol=${tol}). Done.`);
-      return { reached: true, attempts: attempt, final: current, error: target - current };
+      return { reached: true, attempts: attempt, final: current, error: target - current, holds };
     }
 
     // Build plan for remaining distance
@@ -60,79 +65,44 @@ export async function moveTo(
     // Direction: if target > current, go LEFT; otherwise RIGHT
     const padDirection = diffSigned > 0 ? "DPAD_RIGHT" : "DPAD_LEFT";
 
-    // Execute plan
+    // Execute plan (keep the measured hold next to the requested one)
+    const planned = plan.reduce(
+      (sum, entry) => sum + entry.steps.reduce((s, st) => s + st.step * st.count, 0),
+      0
+    );
     for (const entry of plan) {
-      const hold = entry.heldKey && entry.heldKey !== "-" ? entry.heldKey : null;
-      try {
-        if (hold) await keyDownName(hold);
-        await tapName(padDirection, entry.groupMsTotal);
-      } finally {
-        if (hold) await keyUpName(hold);
-      }
+      entry.groupMsActual = await holdWhileTapping(entry.heldKey, padDirection, {
+        holdMs: entry.groupMsTotal,
+      });
+      holds.push({
+        heldKey: entry.heldKey,
+        msTotal: entry.groupMsTotal,
+        msActual: Number(entry.groupMsActual.toFixed(3)),
+      });
     }
 
     //if (settleMs > 0) await sleep(settleMs);
 
-    // Re-read once at end of pass
-    current = await readNum();
+    // Re-read once at end of pass; a reading far from where the plan should
+    // have landed is double-checked (garbled OCR, shifted crop)
+    const expected = current + Math.sign(diffSigned) * planned;
+    current = await readNum({ value: expected, tolerance: 0.25 * planned + 0.05 });
     const newDiffAbs = Math.abs(target - current);
     log(`[moveTo] after pass -> current: ${current} | remaining: ${Number(newDiffAbs.toFixed(3))}`);
 
     if (newDiffAbs <= tol) {
       log(`[moveTo] within tolerance after pass. Done.`);
-      return { reached: true, attempts: attempt, final: current, error: target - current };
+      return { reached: true, attempts: attempt, final: current, error: target - current, holds };
     }
   }
 
   // Safety exit
   const error = target - current;
   console.warn(`[moveTo] maxLoops reached. final=${current}, error=${error}`);
-  return { reached: false, attempts: maxLoops, final: current, error };
+  return { reached: false, attempts: maxLoops, final: current, error, holds };
 }
 
 
-/**
- * Move a numeric axis to target using calibrated steps with batching for ALL step sizes.
- */
-/*
-export async function moveTo(target, calibration, region) {
-  var current = await readCurrent(region);
-  current = Number(current.toFixed(6));
-
-  var diff = await difference(current, target);
-  diff = Number(diff.toFixed(3));
-
-  console.log(`current: ${current} target: ${target} diff: ${diff}`);
-
-  var plan = calculateClosestPlanGrouped(diff, calibration);
-  console.log(plan,null,2);
-  var final = 0;
-
-  var padDirection = getDirection(target,current);
-
-  for (const entry of plan) {
-    try {
-      if (entry.heldKey !== "-") {
-        keyDownName(entry.heldKey);
-      }
-
-      await tapName(padDirection, entry.groupMsTotal);
-    } finally {
-      if (entry.heldKey !== "-") {
-        keyUpName(entry.heldKey);
-      }
-    }
-  }
-
-  var final = await readCurrent(region);
-  diff = await difference(current, final);
-  diff = Number(diff.toFixed(3));
-
-  console.log(
-    `current: ${current} target: ${target} diff: ${diff} final: ${final}`
-  );
-}*/
-
 function getDirection(target, current) {
   if (target > current) {
     return "DPAD_RIGHT";
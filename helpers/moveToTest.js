@@ -4,11 +4,10 @@
 //   - moveDecimalsOnly: only decimal steps (<1) toward exact target with fracTol
 //   - moveToTest: two-phase (whole→integer within wholeTol, then decimals→exact within fracTol)
 //
-// Requires helpers: tapName, keyDownName, keyUpName, readCurrent, sleep
+// Requires helpers: holdWhileTapping, readCurrent
 
-import { tapName, keyDownName, keyUpName } from "../helpers/keys.js";
+import { holdWhileTapping } from "../helpers/keys.js";
 import { readCurrent } from "../helpers/utils.js";
-import { sleep } from "../helpers/sleep.js";
 
 /* ----------------------------- Utilities ---------------------------------- */
 
@@ -32,19 +31,9 @@ function splitWholeVsDecimal(plan) {
 
 const DEFAULT_DIR_KEYS = { positive: "DPAD_RIGHT", negative: "DPAD_LEFT" };
 
-async function execSegment(dirKey, heldKey, msTotal, lead = 20, tail = 10) {
-  if (heldKey && heldKey !== "-") {
-    await keyDownName(heldKey);
-    if (lead > 0) await sleep(lead);
-    try {
-      await tapName(dirKey, msTotal);
-    } finally {
-      if (tail > 0) await sleep(tail);
-      await keyUpName(heldKey);
-    }
-  } else {
-    await tapName(dirKey, msTotal);
-  }
+// Returns the measured hold (ms) of the direction key
+function execSegment(dirKey, heldKey, msTotal, lead = 20, tail = 10) {
+  return holdWhileTapping(heldKey, dirKey, { holdMs: msTotal, lead, tail });
 }
 
 /**
@@ -108,6 +97,17 @@ function aggregateGreedy(cap, subPlan, { exact = false } = {}) {
   };
 }
 
+// Read after moving `covered` toward `remaining`; a reading far from where
+// the move should have landed is double-checked by readCurrent
+async function readAfterMove(region, before, remaining, covered) {
+  const expected = before + Math.sign(remaining) * covered;
+  return Number(
+    await readCurrent(region, "", {
+      expect: { value: expected, tolerance: 0.25 * covered + 0.05 },
+    })
+  );
+}
+
 /* --------------------------- Phase runners -------------------------------- */
 
 /**
@@ -127,6 +127,7 @@ async function moveToIntegerPart({
 }) {
   const targetInt = target < 0 ? Math.ceil(target) : Math.floor(target); // trunc toward 0
   let now = current;
+  let msActual = 0;
 
   const maxCycles = 8;
   for (let i = 0; i < maxCycles; i++) {
@@ -135,7 +136,7 @@ async function moveToIntegerPart({
 
     // If we're already within tolerance, stop.
     if (absCap <= wholeTol) {
-      return { current: now, reachedInt: true, targetInt };
+      return { current: now, reachedInt: true, targetInt, msActual };
     }
 
     const dirKey = remaining > 0 ? dirKeys.positive : dirKeys.negative;
@@ -143,18 +144,18 @@ async function moveToIntegerPart({
 
     if (!agg.segments.length) {
       // Nothing to do; report whether we're within tolerance.
-      return { current: now, reachedInt: Math.abs(now - targetInt) <= wholeTol, targetInt };
+      return { current: now, reachedInt: Math.abs(now - targetInt) <= wholeTol, targetInt, msActual };
     }
 
     for (const seg of agg.segments) {
-      await execSegment(dirKey, seg.heldKey, seg.msTotal, lead, tail);
+      msActual += await execSegment(dirKey, seg.heldKey, seg.msTotal, lead, tail);
     }
 
     // Single capture per loop.
-    now = Number(await readCurrent(region));
+    now = await readAfterMove(region, now, remaining, agg.covered);
   }
 
-  return { current: now, reachedInt: Math.abs(now - targetInt) <= wholeTol, targetInt };
+  return { current: now, reachedInt: Math.abs(now - targetInt) <= wholeTol, targetInt, msActual };
 }
 
 /**
@@ -178,6 +179,7 @@ async function finishWithDecimals({
 }) {
   const tol = Number.isFinite(fracTol) ? fracTol : (Number.isFinite(absTol) ? absTol : 0.0005);
   let now = current;
+  let msActual = 0;
 
   for (let i = 0; i < maxIters; i++) {
     const remaining = target - now;
@@ -187,21 +189,23 @@ async function finishWithDecimals({
     const dirKey = remaining > 0 ? dirKeys.positive : dirKeys.negative;
 
     const agg = aggregateGreedy(absCap, planFrac, { exact: false });
+    let covered = agg.covered;
     if (!agg.segments.length) {
       const smallest = planFrac[planFrac.length - 1];
       if (!smallest) break;
-      await execSegment(dirKey, smallest.heldKey ?? "-", Math.max(1, Math.round(smallest.ms)), lead, tail);
+      msActual += await execSegment(dirKey, smallest.heldKey ?? "-", Math.max(1, Math.round(smallest.ms)), lead, tail);
+      covered = smallest.step;
     } else {
       for (const seg of agg.segments) {
-        await execSegment(dirKey, seg.heldKey, seg.msTotal, lead, tail);
+        msActual += await execSegment(dirKey, seg.heldKey, seg.msTotal, lead, tail);
       }
     }
 
     // Exactly one capture per iteration (after we move).
-    now = Number(await readCurrent(region));
+    now = await readAfterMove(region, now, remaining, covered);
   }
 
-  return { current: now, ok: Math.abs(target - now) <= tol, tol };
+  return { current: now, ok: Math.abs(target - now) <= tol, tol, msActual };
 }
 
 /* ------------------------------ Public API -------------------------------- */
@@ -238,7 +242,7 @@ export async function moveWholeOnly({
     },
   ]);
 
-  return { final: p1.current, afterPhase1: p1.current, targetInt, reachedInt: p1.reachedInt, wholeTol };
+  return { final: p1.current, afterPhase1: p1.current, targetInt, reachedInt: p1.reachedInt, wholeTol, msActual: p1.msActual };
 }
 
 /**
@@ -292,7 +296,7 @@ export async function moveDecimalsOnly({
     },
   ]);
 
-  return { final: p2.current, ok: p2.ok, target, fracTol: p2.tol };
+  return { final: p2.current, ok: p2.ok, target, fracTol: p2.tol, msActual: p2.msActual };
 }
 
 /** Two-phase test: whole→integer (within wholeTol), then decimals→exact (within fracTol).
@@ -346,5 +350,7 @@ export async function moveToTest({
     { Phase: "Decimal Finish", Target: Number(target.toFixed(6)), Final: Number(final.toFixed(6)), WithinFracTol: ok, FracTol: p2.tol },
   ]);
 
-  return { ok, final, target, afterPhase1: p1.current, wholeTol, fracTol: p2.tol };
+  const msActual = (p1.msActual ?? 0) + (p2.msActual ?? 0);
+
+  return { ok, final, target, afterPhase1: p1.current, wholeTol, fracTol: p2.tol, msActual };
 }
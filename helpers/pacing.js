@@ -0,0 +1,136 @@
+// helpers/pacing.js
+// Input pacing between callers and the backend:
+//  - minGapMs:   minimum quiet time between the end of one press and the
+//                start of the next (any button)
+//  - debounceMs: per-button minimum time between two presses of that button
+//  - adaptive:   shortens the gap after a streak of good presses, and backs
+//                off (and raises the floor) whenever a miss is reported: a
+//                failed menu step, or an OCR readback that confirms a move
+//                did not land where it should (readCurrent's `expect`)
+//  - settleMs:   time the menu needs to redraw after a press before a screen
+//                capture can be trusted; settle() waits it out (readCurrent
+//                calls it before reading)
+//
+// A "press" is a tap with nothing else held, or a whole modifier chord
+// (hold SQUARE + tap DPAD_RIGHT): the chord is paced before its first
+// keyDown and after its last keyUp, and never split by a pacing gap.
+
+import { sleep } from "./sleep.js";
+import { loadInputConfig } from "./inputConfig.js";
+import { resolveKey } from "./bindings.js";
+
+const nowMs = () => Number(process.hrtime.bigint()) / 1e6;
+
+// Timers can fire a little early against hrtime: sleep again until `until`
+async function sleepUntil(until) {
+  for (let waitMs = until - nowMs(); waitMs > 0; waitMs = until - nowMs()) {
+    await sleep(Math.ceil(waitMs));
+  }
+}
+
+const ADAPTIVE_DEFAULTS = {
+  enabled: false,
+  floorMs: 60, // never go below this
+  stepMs: 10, // shorten/lengthen by this much
+  okStreak: 20, // good presses before shortening once
+};
+
+/**
+ * @param {{
+ *   minGapMs?: number,
+ *   settleMs?: number,
+ *   debounceMs?: Object<string, number>,   // keyed by button name, e.g. { CROSS: 300 }
+ *   adaptive?: { enabled?:boolean, floorMs?:number, stepMs?:number, okStreak?:number }
+ * }} [opts]
+ */
+export function createPacer({ minGapMs = 0, settleMs = 0, debounceMs = {}, adaptive = {} } = {}) {
+  const ad = { ...ADAPTIVE_DEFAULTS, ...adaptive };
+
+  // Debounce is configured per button but checked per raw key
+  const debounceByKey = new Map();
+  for (const [button, ms] of Object.entries(debounceMs)) {
+    debounceByKey.set(resolveKey(button), Number(ms) || 0);
+  }
+
+  const state = {
+    gapMs: Number(minGapMs) || 0,
+    floorMs: Math.min(Number(minGapMs) || 0, ad.floorMs),
+    lastEnd: -Infinity,
+    lastByKey: new Map(),
+    streak: 0,
+    presses: 0,
+    misses: 0,
+  };
+
+  return {
+    /** Wait until `key` may be pressed. */
+    async before(key) {
+      const gapUntil = state.lastEnd + state.gapMs;
+      const debounceUntil =
+        (state.lastByKey.get(key) ?? -Infinity) + (debounceByKey.get(key) ?? 0);
+      await sleepUntil(Math.max(gapUntil, debounceUntil));
+    },
+
+    /** Wait until the screen has settled after the last press. */
+    async settle() {
+      await sleepUntil(state.lastEnd + (Number(settleMs) || 0));
+    },
+
+    /** Mark the end of a press of `key`. */
+    after(key) {
+      const now = nowMs();
+      state.lastEnd = now;
+      state.lastByKey.set(key, now);
+      state.presses += 1;
+
+      if (ad.enabled) {
+        state.streak += 1;
+        if (state.streak >= ad.okStreak && state.gapMs > state.floorMs) {
+          state.gapMs = Math.max(state.floorMs, state.gapMs - ad.stepMs);
+          state.streak = 0;
+        }
+      }
+    },
+
+    /**
+     * A menu step was missed: back off, and never go this fast again.
+     * @param {string} [reason]
+     */
+    reportMiss(reason = "missed menu step") {
+      state.misses += 1;
+      state.streak = 0;
+      if (!ad.enabled) return;
+      const failedAt = state.gapMs;
+      state.floorMs = Math.max(state.floorMs, failedAt + ad.stepMs);
+      state.gapMs = failedAt + 2 * ad.stepMs;
+      console.warn(
+        `[pacing] ${reason} at gap ${failedAt}ms → gap ${state.gapMs}ms (floor ${state.floorMs}ms)`
+      );
+    },
+
+    get gapMs() {
+      return state.gapMs;
+    },
+
+    stats() {
+      return {
+        gapMs: state.gapMs,
+        floorMs: state.floorMs,
+        presses: state.presses,
+        misses: state.misses,
+      };
+    },
+  };
+}
+
+let active = null;
+
+/** Process-wide pacer, built from the "pacing" section of config/input.json. */
+export function getPacer() {
+  if (!active) active = createPacer(loadInputConfig().pacing);
+  return active;
+}
+
+export function setPacer(pacer) {
+  active = pacer;
+}
@@ -0,0 +1,100 @@
+// helpers/rotation.js
+// vRot as a rotation matrix and back, so orientations can be composed
+// instead of having degrees added to them.
+//
+// vRot is { x: pitch, y: roll, z: yaw } in degrees, applied in GTA's default
+// entity order (2): R = Rz(z) · Rx(x) · Ry(y), world axes, Z up.
+
+const RAD = Math.PI / 180;
+
+const round3 = (n) => Math.round(n * 1000) / 1000 + 0; // + 0 turns -0 into 0
+
+/** Wrap to (-180, 180], the range tracks store angles in. */
+export function wrap180(deg) {
+  const d = ((deg % 360) + 360) % 360;
+  return d > 180 ? d - 360 : d;
+}
+
+export function multiply(a, b) {
+  return a.map((row) => [0, 1, 2].map((j) => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+export function apply(m, { x, y, z }) {
+  return {
+    x: m[0][0] * x + m[0][1] * y + m[0][2] * z,
+    y: m[1][0] * x + m[1][1] * y + m[1][2] * z,
+    z: m[2][0] * x + m[2][1] * y + m[2][2] * z,
+  };
+}
+
+/** Rotation about world Z (positive = counter-clockwise seen from above). */
+export function yawMatrix(deg) {
+  const c = Math.cos(deg * RAD);
+  const s = Math.sin(deg * RAD);
+  return [
+    [c, -s, 0],
+    [s, c, 0],
+    [0, 0, 1],
+  ];
+}
+
+/** Reflection that negates one world axis ("x", "y" or "z"). */
+export function mirrorMatrix(axis) {
+  const i = ["x", "y", "z"].indexOf(axis);
+  if (i === -1) throw new Error(`Unknown mirror axis "${axis}" (expected x, y or z)`);
+  return [0, 1, 2].map((r) => [0, 1, 2].map((c) => (r === c ? (r === i ? -1 : 1) : 0)));
+}
+
+export function eulerToMatrix({ x = 0, y = 0, z = 0 }) {
+  const [cx, sx] = [Math.cos(x * RAD), Math.sin(x * RAD)];
+  const [cy, sy] = [Math.cos(y * RAD), Math.sin(y * RAD)];
+  const [cz, sz] = [Math.cos(z * RAD), Math.sin(z * RAD)];
+  return [
+    [cz * cy - sz * sx * sy, -sz * cx, cz * sy + sz * sx * cy],
+    [sz * cy + cz * sx * sy, cz * cx, sz * sy - cz * sx * cy],
+    [-cx * sy, sx, cx * cy],
+  ];
+}
+
+/** Inverse of eulerToMatrix, rounded to the 3 decimals tracks use. */
+export function matrixToEuler(m) {
+  const sx = Math.max(-1, Math.min(1, m[2][1]));
+  const x = Math.asin(sx);
+  let y;
+  let z;
+  if (Math.abs(sx) < 0.999999) {
+    y = Math.atan2(-m[2][0], m[2][2]);
+    z = Math.atan2(-m[0][1], m[1][1]);
+  } else {
+    // Pitch at ±90°: roll and yaw share an axis, keep it all in yaw
+    y = 0;
+    z = Math.atan2(m[1][0], m[0][0]);
+  }
+  return {
+    x: round3(wrap180(x / RAD)),
+    y: round3(wrap180(y / RAD)),
+    z: round3(wrap180(z / RAD)),
+  };
+}
+
+/**
+ * Orientation after a world-space transform `m`: m · R for a rotation,
+ * m · R · m for a reflection (the mirrored object's orientation; a rotation
+ * matrix cannot hold the handedness flip itself).
+ */
+export function transformRotation(vRot, m, reflection = false) {
+  const r = multiply(m, eulerToMatrix(vRot));
+  return matrixToEuler(reflection ? multiply(r, m) : r);
+}
+
+/** Angle in degrees of the smallest rotation taking orientation a to b. */
+export function rotationAngle(a, b) {
+  const ma = eulerToMatrix(a);
+  const mb = eulerToMatrix(b);
+  // trace(maᵀ · mb) = 1 + 2·cos θ
+  let trace = 0;
+  for (let i = 0; i < 3; i++) for (let k = 0; k < 3; k++) trace += ma[k][i] * mb[k][i];
+  return Math.acos(Math.max(-1, Math.min(1, (trace - 1) / 2))) / RAD;
+}
+
+export { round3 };
@@ -1,5 +1,5 @@
 // sleep.js
-import { keyUpName } from "./keys.js";
+import { releaseAll } from "./keys.js";
 
 // ----- Singleton AbortController -----
 const GKEY = "__sleep_singleton__";
@@ -12,33 +12,27 @@ const S = (globalThis[GKEY] ??= (() => {
   };
 })());
 
-function _abort(reason = "User requested quit") {
+// Exit codes follow the shell's 128 + signal number, so a caller or CI sees
+// an aborted run as failed: 130 for Ctrl-C / user abort, 143 for SIGTERM.
+export const ABORT_EXIT_CODE = 130;
+export const SIGTERM_EXIT_CODE = 143;
+
+function _abort(reason = "User requested quit", code = ABORT_EXIT_CODE) {
   if (!S.signal.aborted) {
     console.log(`\n⏹  ${reason}`);
 
-    // Release all held keys
-    keyUpName("CROSS");
-    keyUpName("CIRCLE");
-    keyUpName("SQUARE");
-    keyUpName("TRIANGLE");
-    keyUpName("DPAD_UP");
-    keyUpName("DPAD_DOWN");
-    keyUpName("DPAD_LEFT");
-    keyUpName("DPAD_RIGHT");
-    keyUpName("L1");
-    keyUpName("L2");
-    keyUpName("R1");
-    keyUpName("R2");
+    // Release whatever is actually held (tracked by keys.js)
+    releaseAll();
 
     S.controller.abort();
 
-    // exit immediately
-    process.exit(0);
+    // exit immediately, non-zero: the run did not finish
+    process.exit(code);
   }
 }
 
-export function requestAbort(reason = "User requested quit") {
-  _abort(reason);
+export function requestAbort(reason = "User requested quit", code = ABORT_EXIT_CODE) {
+  _abort(reason, code);
 }
 
 export function globalSignal() {
@@ -49,8 +43,9 @@ export function globalSignal() {
 if (!S.wired) {
   S.wired = true;
 
-  // Ensure Ctrl-C triggers our full abort cleanup
+  // Ensure Ctrl-C / kill trigger our full abort cleanup
   process.on("SIGINT", () => _abort("SIGINT (Ctrl-C)"));
+  process.on("SIGTERM", () => _abort("SIGTERM", SIGTERM_EXIT_CODE));
 }
 
 // ----- Sleep -----
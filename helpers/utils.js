@@ -2,10 +2,14 @@
 import { captureRegion } from "../capture-window.js";
 import { extractText } from "../ocr-text.js";
 import { sleep } from "./sleep.js";
+import { getFaults } from "./faults.js";
 
-import { tapName, keyDownName, keyUpName } from "../helpers/keys.js";
+import { tapName, keyDownName, keyUpName, reportMissedStep, settle } from "../helpers/keys.js";
 
 // ----- Utils -----
+// Two readings this close are the same on-screen value (3 decimals shown)
+const SAME_READING = 0.0015;
+
 /**
  * Read the current value from a screen region and return a number.
  * Defaults:
@@ -13,34 +17,78 @@ import { tapName, keyDownName, keyUpName } from "../helpers/keys.js";
  *  - numericOnly: true
  *  - minConf: 60
  * You can override via the optional third param (opts) without breaking old calls.
+ *
+ * Hardening against bad frames / garbled OCR:
+ *  - waits for the pacer's settle time after the last press before the
+ *    first capture, so the menu has redrawn
+ *  - opts.retries (default 2): re-capture when OCR returns no number
+ *  - opts.expect = { value, tolerance }: a reading further than `tolerance`
+ *    from `value` is re-read; it is kept if a second reading agrees with it,
+ *    otherwise the median of three readings wins. A final reading still
+ *    outside `tolerance` is reported to the pacer as a missed step.
  */
 export async function readCurrent(region, axis = "", opts = {}) 
 {
   console.log('readCurrent');
 
-  const { buffer } = await captureRegion({
-    screenIndex: opts.screenIndex ?? 1, // keep your original default
-    region,
-  });
-  
-  // Use the new OCR helper; still numeric-only by default
-  const val = await extractText(buffer, {
-    numericOnly: true,
-    minConf: opts.minConf ?? 60,
-    debug: !!opts.debug, // optional: save orig/proc images with timestamp
-    debugOutBase: opts.debugOutBase ?? `ocr-${axis}`,
-    showConfidence: !!opts.showConfidence, // optional: log per-char confidence
-    // Optional preprocessing knobs (only used if you pass them):
-    scale: opts.scale,
-    sharpen: opts.sharpen,
-    threshold: opts.threshold,
-  });
-
-  if (!Number.isFinite(val)) {
-    throw new Error(`OCR failed on ${axis}: "${val}"`);
+  const faults = getFaults();
+  const capture = faults.wrapCapture(captureRegion);
+  const ocr = faults.wrapExtract(extractText);
+  const retries = opts.retries ?? 2;
+
+  const readOnce = async () => {
+    const { buffer } = await capture({
+      screenIndex: opts.screenIndex ?? 1, // keep your original default
+      region,
+    });
+
+    // Use the new OCR helper; still numeric-only by default
+    return ocr(buffer, {
+      numericOnly: true,
+      minConf: opts.minConf ?? 60,
+      debug: !!opts.debug, // optional: save orig/proc images with timestamp
+      debugOutBase: opts.debugOutBase ?? `ocr-${axis}`,
+      showConfidence: !!opts.showConfidence, // optional: log per-char confidence
+      // Optional preprocessing knobs (only used if you pass them):
+      scale: opts.scale,
+      sharpen: opts.sharpen,
+      threshold: opts.threshold,
+    });
+  };
+
+  const readFinite = async () => {
+    for (let attempt = 0; ; attempt++) {
+      const val = await readOnce();
+      if (Number.isFinite(val)) return val;
+      if (attempt >= retries) throw new Error(`OCR failed on ${axis}: "${val}"`);
+      console.warn(`readCurrent ${axis}: no number ("${val}"), retrying`);
+      await sleep(opts.retryDelayMs ?? 100);
+    }
+  };
+
+  await settle();
+  const val = await readFinite();
+
+  const expect = opts.expect;
+  if (!expect || Math.abs(val - expect.value) <= expect.tolerance) return val;
+
+  // Implausible jump: either a garbled read or the move really went there
+  const again = await readFinite();
+  let result = val;
+  if (Math.abs(again - val) > SAME_READING) {
+    const third = await readFinite();
+    result = [val, again, third].sort((a, b) => a - b)[1];
+    console.warn(
+      `readCurrent ${axis}: readings disagree (${val}, ${again}, ${third}); using ${result}`
+    );
   }
 
-  return val;
+  // Confirmed off target: the input did not do what was planned (a dropped
+  // or merged press), so adaptive pacing backs off
+  if (Math.abs(result - expect.value) > expect.tolerance) {
+    reportMissedStep(`readback ${axis || "value"} ${result}, expected ~${expect.value}`);
+  }
+  return result;
 }
 
 // Map signed target in [-180, 180] to [0, 360]
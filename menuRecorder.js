@@ -0,0 +1,150 @@
+// menuRecorder.js — record enter/exit MenuScript blocks by driving the game
+// from the terminal.
+//
+//   ↑ ↓ ← →    DPAD_UP / DPAD_DOWN / DPAD_LEFT / DPAD_RIGHT
+//   Enter      CROSS
+//   Backspace  CIRCLE
+//   U          undo last recorded press (recording only; the game is not rewound)
+//   S          save the block to commands/propMenu.json and quit
+//   Q/Ctrl-C   quit without saving
+//
+// Usage: node menuRecorder.js [modelNumber] [enter|exit]
+
+import readline from "readline";
+import { createInterface } from "readline/promises";
+import { tapName } from "./helpers/keys.js";
+import { requestAbort } from "./helpers/sleep.js";
+import {
+  collapsePresses,
+  loadMenuFile,
+  saveMenuBlock,
+} from "./helpers/menuMacro.js";
+import { sameHash } from "./helpers/hash.js";
+
+const TAP_MS = 225;
+
+const KEYMAP = {
+  up: "DPAD_UP",
+  down: "DPAD_DOWN",
+  left: "DPAD_LEFT",
+  right: "DPAD_RIGHT",
+  return: "CROSS",
+  enter: "CROSS",
+  backspace: "CIRCLE",
+};
+
+async function askTarget() {
+  const entries = await loadMenuFile();
+  let modelNumber = Number(process.argv[2]);
+  let blockName = process.argv[3];
+
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    while (!entries.some((e) => sameHash(e.modelNumber, modelNumber))) {
+      const ans = await rl.question("modelNumber (or modelName) to record for: ");
+      const hit = entries.find(
+        (e) => sameHash(e.modelNumber, ans) || e.modelName === ans.trim()
+      );
+      if (hit) modelNumber = hit.modelNumber;
+      else console.log("Not found in propMenu.json.");
+    }
+    while (blockName !== "enter" && blockName !== "exit") {
+      blockName = (await rl.question("Block (enter/exit): ")).trim().toLowerCase();
+    }
+  } finally {
+    rl.close();
+  }
+
+  const entry = entries.find((e) => sameHash(e.modelNumber, modelNumber));
+  return { entry, blockName };
+}
+
+function render(entry, blockName, presses) {
+  const ops = collapsePresses(presses);
+  console.clear();
+  console.log(
+    `Recording "${blockName}" for ${entry.modelName} (${entry.modelNumber})\n` +
+      `Arrows=DPAD  Enter=CROSS  Backspace=CIRCLE  U=undo  S=save  Q=quit\n`
+  );
+  if (ops.length) console.table(ops);
+  else console.log("(no presses yet)");
+}
+
+async function main() {
+  const { entry, blockName } = await askTarget();
+  const presses = [];
+
+  // Presses are forwarded one at a time, in the order they were typed. A
+  // failed step is reported and dropped; recording carries on after it.
+  let queue = Promise.resolve();
+  let finished = false;
+  const enqueue = (step) => {
+    queue = queue.then(step).catch((err) => {
+      console.error(`\nStep failed: ${err?.message || err}`);
+    });
+  };
+
+  render(entry, blockName, presses);
+
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode?.(true);
+  process.stdin.resume();
+
+  await new Promise((resolve, reject) => {
+    process.stdin.on("keypress", (str, key = {}) => {
+      if (finished) return;
+
+      if (key.ctrl && key.name === "c") return requestAbort("Ctrl-C");
+      if (key.name === "q") {
+        finished = true;
+        console.log("\nQuit without saving.");
+        return resolve();
+      }
+
+      if (key.name === "u") {
+        enqueue(() => {
+          presses.pop();
+          render(entry, blockName, presses);
+        });
+        return;
+      }
+
+      if (key.name === "s") {
+        finished = true;
+        queue
+          .then(async () => {
+            const ops = collapsePresses(presses);
+            await saveMenuBlock({
+              modelNumber: entry.modelNumber,
+              blockName,
+              ops,
+            });
+            console.log(
+              `\nSaved ${ops.length} op(s) as "${blockName}" for ${entry.modelName}.`
+            );
+          })
+          .then(resolve, reject);
+        return;
+      }
+
+      const button = KEYMAP[key.name];
+      if (!button) return;
+
+      enqueue(async () => {
+        await tapName(button, TAP_MS);
+        presses.push(button);
+        render(entry, blockName, presses);
+      });
+    });
+  });
+}
+
+main()
+  .catch((err) => {
+    console.error("Error:", err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    process.stdin.setRawMode?.(false);
+    process.exit(process.exitCode ?? 0);
+  });
@@ -1,8 +1,9 @@
 import fs from "fs/promises";
+import { tapName, repeat, keyDownName, keyUpName, settle } from "./helpers/keys.js";
 
 import { extractText } from "./ocr-text.js";
 import { captureRegion } from "./capture-window.js";
-import robot from "robotjs";
+import { sameHash } from "./helpers/hash.js";
 
 // ----------------------------
 // Utility
@@ -28,23 +29,6 @@ function sleep(ms) {
 }
 
 // ---------------- Mappings & helpers ----------------
-const PS_MAP = {
-  CROSS: "enter",
-  CIRCLE: "backspace",
-  SQUARE: "s",
-  TRIANGLE: "c",
-  DPAD_UP: "up",
-  DPAD_DOWN: "down",
-  DPAD_LEFT: "left",
-  DPAD_RIGHT: "right",
-
-  L1: "q",
-  L2: "w",
-  R1: "e",
-  R2: "r",
-};
-
-
 
 function travelTimeMs(start, target, speed) {
   const distance = Math.abs(target - start);
@@ -157,45 +141,9 @@ async function moveAxis(current, target, speed, axis = "x") {
   }
 }
 
-async function repeat(name, times, holdMs = 200) {
-  for (let i = 0; i < times; i++) {
- 
-    await tapName(name, holdMs);
-  }
-}
-
-// Always releases key even if aborted during hold
-async function tap(key, holdMs = 200) {
-  keyDown(key);
-  try {
-    await sleep(holdMs);
-  } finally {
-    keyUp(key);
-  }
-}
-
-async function tapName(name, holdMs = 200) {
-  const key = PS_MAP[name.toUpperCase()];
-  if (!key) throw new Error(`Unknown button: ${name}`);
-  await tap(key, holdMs);
-}
-
-function keyDownName(name) {
-  const key = PS_MAP[name.toUpperCase()];
-  robot.keyToggle(key, "down");
-}
-function keyUpName(name) {
-  const key = PS_MAP[name.toUpperCase()];
-  robot.keyToggle(key, "up");
-}
-
-function keyDown(key) {
-  robot.keyToggle(key, "down");
-}
+// tapName / repeat come from helpers/keys.js: paced, held with preciseHold,
+// released on any exit path
 
-function keyUp(key) {
-  robot.keyToggle(key, "up");
-}
 
 // ----------------------------
 // Command Handlers
@@ -221,6 +169,7 @@ const handlers = {
     await sleep(step.ms ?? 0);
   },
   async capture(step) {
+    await settle(); // menu redrawn after the last press
     await captureRegion({
       out: step.out,
       screenIndex: step.screenIndex ?? 0,
@@ -292,7 +241,7 @@ export async function runModelFromFile(jsonPath, modelId, initialContext = {}) {
   const models = JSON.parse(raw); // array of models
 
   const modelSpec = models.find(
-    m => m.modelNumber === modelId || m.modelName === modelId
+    m => sameHash(m.modelNumber, modelId) || m.modelName === modelId
   );
 
   if (!modelSpec) {
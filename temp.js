@@ -1,10 +1,12 @@
 // cloneJob.js
-import robot from "robotjs";
 import fs from "fs/promises";
+import { tapName, repeat, keyDownName, keyUpName, settle } from "./helpers/keys.js";
 import { captureRegion } from "./capture-window.js";
 import { extractText } from "./ocr-text.js";
 import parseTrackData from "./trackParser.js";
 import MenuScript from "./classes/MenuScript.js"; // note the .js extension
+import { sameHash } from "./helpers/hash.js";
+import { ABORT_EXIT_CODE } from "./helpers/sleep.js";
 
 // ---------------- Abort (single listener) ----------------
 const ac = new AbortController();
@@ -49,54 +51,9 @@ function sleep(ms) {
 }
 
 // ---------------- Mappings & helpers ----------------
-const PS_MAP = {
-  CROSS: "enter",
-  CIRCLE: "backspace",
-  SQUARE: "s",
-  TRIANGLE: "c",
-  DPAD_UP: "up",
-  DPAD_DOWN: "down",
-  DPAD_LEFT: "left",
-  DPAD_RIGHT: "right",
-
-  L1: "q",
-  L2: "w",
-  R1: "e",
-  R2: "r",
-};
-
-function keyDownName(name) {
-  const key = PS_MAP[name.toUpperCase()];
-  robot.keyToggle(key, "down");
-}
-function keyUpName(name) {
-  const key = PS_MAP[name.toUpperCase()];
-  robot.keyToggle(key, "up");
-}
-
-function keyDown(key) {
-  robot.keyToggle(key, "down");
-}
-
-function keyUp(key) {
-  robot.keyToggle(key, "up");
-}
-
-// Always releases key even if aborted during hold
-async function tap(key, holdMs = 200) {
-  keyDown(key);
-  try {
-    await sleep(holdMs);
-  } finally {
-    keyUp(key);
-  }
-}
-
-async function tapName(name, holdMs = 200) {
-  const key = PS_MAP[name.toUpperCase()];
-  if (!key) throw new Error(`Unknown button: ${name}`);
-  await tap(key, holdMs);
-}
+// Taps go through helpers/keys.js: paced (config/input.json → pacing), held
+// with preciseHold, released on any exit path. Screen captures wait for
+// settle() so the menu has redrawn after the last press.
 
 function travelTimeMs(start, target, speed) {
   const distance = Math.abs(target - start);
@@ -210,13 +167,6 @@ async function moveAxis(current, target, speed, axis = "x") {
   }
 }
 
-async function repeat(name, times, holdMs = 200) {
-  for (let i = 0; i < times; i++) {
-    if (signal.aborted) throw new Error("aborted");
-    await tapName(name, holdMs);
-  }
-}
-
 const DEFAULT_TAP_MS = 250;
 
 async function runCmd(step) {
@@ -280,20 +230,17 @@ async function runTubeCorner30D({
   await repeat("DPAD_RIGHT", 4);
 
   await repeat("DPAD_DOWN", 5);
-  await sleep(250);
   await tapName("CROSS", 200);
-  await sleep(250);
   await tapName("CROSS", 200);
-  await sleep(250);
   await tapName("CROSS", 200);
 
-  await sleep(250);
   await repeat("DPAD_DOWN", 2);
 
   // HOLD TRIANGLE TO SPEED SHIT UP
   keyDownName("TRIANGLE");
 
   // X AXIS - Location
+  await settle();
   const { buffer: xBuf } = await captureRegion({
     // out: "x.png",
     screenIndex: 1,
@@ -309,9 +256,9 @@ async function runTubeCorner30D({
 
   await moveAxis(current_x, target_x, speed, "x");
   await tapName("DPAD_DOWN", 200);
-  await sleep(500);
 
   // Y AXIS - Location
+  await settle();
   const { buffer: yBuf } = await captureRegion({
     // out: "y.png",
     screenIndex: 1,
@@ -328,9 +275,9 @@ async function runTubeCorner30D({
 
   await moveAxis(current_y, target_y, speed, "y");
   await tapName("DPAD_DOWN", 200);
-  await sleep(500);
 
   // Z AXIS - Location
+  await settle();
   const { buffer: zBuf } = await captureRegion({
     // out: "z.png",
     screenIndex: 1,
@@ -346,7 +293,6 @@ async function runTubeCorner30D({
   current_z = Number(ztxt);
 
   await moveAxis(current_z, target_z, speed, "z");
-  await sleep(500);
 
   // RElEASE TRIANGLE
   keyUpName("TRIANGLE");
@@ -357,9 +303,7 @@ async function runTubeCorner30D({
   await tapName("DPAD_DOWN", 200);
 
   await tapName("CROSS", 200);
-  await sleep(250);
   await tapName("CROSS", 200);
-  await sleep(250);
 
   await repeat("DPAD_DOWN", 2);
 
@@ -368,6 +312,7 @@ async function runTubeCorner30D({
   // HOLD TRIANGLE TO SPEED SHIT UP
   keyDownName("TRIANGLE");
 
+  await settle();
   const { buffer: vrot_x_buff } = await captureRegion({
     // out: "vrot_x.png",
     screenIndex: 1,
@@ -381,10 +326,10 @@ async function runTubeCorner30D({
   });
 
   await moveRotationSmart(current_vrotx, vrot_y, 60, "x");
-  await sleep(500);
 
   await tapName("DPAD_DOWN", 200);
 
+  await settle();
   const { buffer: vrot_y_buff } = await captureRegion({
     // out: "vrot_y.png",
     screenIndex: 1,
@@ -398,10 +343,10 @@ async function runTubeCorner30D({
   });
 
   await moveRotationSmart(current_vroty, vrot_x, 60, "y");
-  await sleep(500);
 
   await tapName("DPAD_DOWN", 200);
 
+  await settle();
   const { buffer: vrot_z_buff } = await captureRegion({
     // out: "vrot_z.png",
     screenIndex: 1,
@@ -417,17 +362,14 @@ async function runTubeCorner30D({
   console.log(current_vrotz);
 
   await moveRotationSmart(current_vrotz, vrot_z, 60, "z");
-  await sleep(500);
 
   // RElEASE TRIANGLE
   keyUpName("TRIANGLE");
 
   // CONFIRM IT ALL
   await tapName("CROSS", 200);
-  await sleep(250);
 
   await tapName("CIRCLE", 200);
-  await sleep(250);
   await tapName("CIRCLE", 200);
 
   await repeat("DPAD_DOWN", 3);
@@ -446,20 +388,17 @@ async function runPlacement({
 }) {
 
   await repeat("DPAD_DOWN", 5);
-  await sleep(250);
   await tapName("CROSS", 200);
-  await sleep(250);
   await tapName("CROSS", 200);
-  await sleep(250);
   await tapName("CROSS", 200);
 
-  await sleep(250);
   await repeat("DPAD_DOWN", 2);
 
   // HOLD TRIANGLE TO SPEED SHIT UP
   keyDownName("TRIANGLE");
 
   // X AXIS - Location
+  await settle();
   const { buffer: xBuf } = await captureRegion({
     // out: "x.png",
     screenIndex: 1,
@@ -475,9 +414,9 @@ async function runPlacement({
 
   await moveAxis(current_x, target_x, speed, "x");
   await tapName("DPAD_DOWN", 200);
-  await sleep(500);
 
   // Y AXIS - Location
+  await settle();
   const { buffer: yBuf } = await captureRegion({
     // out: "y.png",
     screenIndex: 1,
@@ -494,9 +433,9 @@ async function runPlacement({
 
   await moveAxis(current_y, target_y, speed, "y");
   await tapName("DPAD_DOWN", 200);
-  await sleep(500);
 
   // Z AXIS - Location
+  await settle();
   const { buffer: zBuf } = await captureRegion({
     // out: "z.png",
     screenIndex: 1,
@@ -512,7 +451,6 @@ async function runPlacement({
   current_z = Number(ztxt);
 
   await moveAxis(current_z, target_z, speed, "z");
-  await sleep(500);
 
   // RElEASE TRIANGLE
   keyUpName("TRIANGLE");
@@ -523,9 +461,7 @@ async function runPlacement({
   await tapName("DPAD_DOWN", 200);
 
   await tapName("CROSS", 200);
-  await sleep(250);
   await tapName("CROSS", 200);
-  await sleep(250);
 
   await repeat("DPAD_DOWN", 2);
 
@@ -534,6 +470,7 @@ async function runPlacement({
   // HOLD TRIANGLE TO SPEED SHIT UP
   keyDownName("TRIANGLE");
 
+  await settle();
   const { buffer: vrot_x_buff } = await captureRegion({
     // out: "vrot_x.png",
     screenIndex: 1,
@@ -547,10 +484,10 @@ async function runPlacement({
   });
 
   await moveRotationSmart(current_vrotx, vrot_y, 60, "x");
-  await sleep(500);
 
   await tapName("DPAD_DOWN", 200);
 
+  await settle();
   const { buffer: vrot_y_buff } = await captureRegion({
     // out: "vrot_y.png",
     screenIndex: 1,
@@ -564,10 +501,10 @@ async function runPlacement({
   });
 
   await moveRotationSmart(current_vroty, vrot_x, 60, "y");
-  await sleep(500);
 
   await tapName("DPAD_DOWN", 200);
 
+  await settle();
   const { buffer: vrot_z_buff } = await captureRegion({
     // out: "vrot_z.png",
     screenIndex: 1,
@@ -583,17 +520,14 @@ async function runPlacement({
   console.log(current_vrotz);
 
   await moveRotationSmart(current_vrotz, vrot_z, 60, "z");
-  await sleep(500);
 
   // RElEASE TRIANGLE
   keyUpName("TRIANGLE");
 
   // CONFIRM IT ALL
   await tapName("CROSS", 200);
-  await sleep(250);
 
   await tapName("CIRCLE", 200);
-  await sleep(250);
   await tapName("CIRCLE", 200);
 
   await repeat("DPAD_DOWN", 3);
@@ -617,7 +551,7 @@ async function main() {
       // Turn plain objects into MenuScript instances
       const scripts = data.map(
         (s) =>
-          new MenuScript(Math.abs(s.modelNumber), s.modelName, s.menuCommands)
+          new MenuScript(s.modelNumber, s.modelName, s.menuCommands)
       );
 
       const startIn = 5000;
@@ -641,7 +575,7 @@ async function main() {
         }
 
         try {
-          const script = scripts.find((s) => s.modelNumber === modelNumber);
+          const script = scripts.find((s) => sameHash(s.modelNumber, modelNumber));
           if (!script) {
             console.error(`No script found for modelNumber ${modelNumber}`);
             continue;
@@ -663,8 +597,6 @@ async function main() {
           if (err?.message === "aborted") throw err;
           console.error(`Row ${i}: error:`, err?.message || err);
         }
-
-        await sleep(250);
       }
     } catch (err) {
       console.error("Error parsing file:", err.message);
@@ -674,8 +606,10 @@ async function main() {
   } catch (err) {
     if (err?.message === "aborted") {
       console.log("✅ Stopped cleanly.");
+      process.exitCode = ABORT_EXIT_CODE;
     } else {
       console.error("Error:", err);
+      process.exitCode = 1;
     }
   } finally {
     // cleanup stdin
@@ -683,7 +617,7 @@ async function main() {
       process.stdin.setRawMode(false);
       process.stdin.pause();
     } catch {}
-    process.exit(0);
+    process.exit(process.exitCode ?? 0);
   }
 }
 
@@ -0,0 +1,62 @@
+// tests/hash.test.js
+// joaat vectors, the three hash spellings and propMenu.json entry checks.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkEntryHashes, joaat, sameHash, toHex, toSigned, toUnsigned } from "../helpers/hash.js";
+
+test("joaat matches known model hashes, case-insensitively", () => {
+  assert.equal(joaat("adder"), 0xb779a091);
+  assert.equal(joaat("ADDER"), 0xb779a091);
+  assert.equal(joaat("stt_prop_stunt_tube_crn_30d"), 2138176025);
+  assert.equal(joaat(""), 0);
+});
+
+test("signed, unsigned and hex spellings round-trip", () => {
+  for (const unsigned of [0, 1, 0x7fffffff, 0x80000000, 0xb779a091, 0xffffffff]) {
+    const signed = toSigned(unsigned);
+    const hex = toHex(unsigned);
+    assert.ok(signed >= -0x80000000 && signed <= 0x7fffffff, `${signed}`);
+    assert.equal(toUnsigned(signed), unsigned);
+    assert.equal(toUnsigned(hex), unsigned);
+    assert.equal(toSigned(hex), signed);
+    assert.equal(toHex(signed), hex);
+    assert.ok(sameHash(signed, hex) && sameHash(hex, unsigned));
+  }
+  assert.equal(toSigned(0xb779a091), -1216765807);
+  assert.equal(toHex(-1216765807), "0xB779A091");
+  assert.equal(toUnsigned("0xb779a091"), 0xb779a091);
+  assert.equal(toUnsigned(" -1216765807 "), 0xb779a091);
+});
+
+test("out-of-range and non-integer inputs give null and never match", () => {
+  for (const bad of [0x100000000, -0x80000001, 1.5, NaN, Infinity, "", "abc", "0x123456789", null, undefined, {}]) {
+    assert.equal(toUnsigned(bad), null, `toUnsigned(${String(bad)})`);
+    assert.equal(toSigned(bad), null);
+    assert.equal(toHex(bad), null);
+    assert.equal(sameHash(bad, bad), false);
+  }
+  // |signed| is not the unsigned hash
+  assert.equal(sameHash(-1216765807, 1216765807), false);
+});
+
+test("checkEntryHashes accepts a consistent entry and reports mismatches", () => {
+  const entry = {
+    modelNumber: 2138176025,
+    hashUnsigned: 2138176025,
+    hashHex: "0x7F71FA19",
+    modelName: "stt_prop_stunt_tube_crn_30d",
+  };
+  assert.deepEqual(checkEntryHashes(entry), []);
+  assert.deepEqual(checkEntryHashes({ ...entry, modelNumber: toSigned(entry.modelNumber) }), []);
+
+  const wrongName = checkEntryHashes({ ...entry, modelName: "stt_prop_stunt_tube_crn_15d" });
+  assert.equal(wrongName.length, 1);
+  assert.match(wrongName[0], /joaat\("stt_prop_stunt_tube_crn_15d"\)/);
+
+  const wrongSpellings = checkEntryHashes({ ...entry, hashUnsigned: 1, hashHex: "0x00000001" });
+  assert.equal(wrongSpellings.length, 2);
+  assert.match(wrongSpellings[0], /^hashUnsigned 1/);
+  assert.match(wrongSpellings[1], /^hashHex 0x00000001/);
+
+  assert.deepEqual(checkEntryHashes({ ...entry, modelNumber: 1.5 }), ["modelNumber 1.5 is not a 32-bit hash"]);
+});
@@ -0,0 +1,141 @@
+// tests/keys.test.js
+// chord / holdWhileTapping / sequence against the recording backend: the
+// timeline it writes is the ground truth for press order and timing.
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createRecordingBackend, setInputBackend } from "../helpers/inputBackend.js";
+import { createPacer, setPacer } from "../helpers/pacing.js";
+import { createFaults, setFaults } from "../helpers/faults.js";
+import { chord, heldKeys, holdWhileTapping, sequence, settle, tapName } from "../helpers/keys.js";
+
+// Timers may wake late but never early; allow 1 ms for rounding
+const EARLY_MS = 1;
+
+const dir = mkdtempSync(join(tmpdir(), "keys-test-"));
+let file;
+let n = 0;
+
+beforeEach(() => {
+  file = join(dir, `timeline-${n++}.jsonl`);
+  setInputBackend(createRecordingBackend({ recordFile: file }));
+  setPacer(createPacer({ minGapMs: 0 }));
+  setFaults(createFaults({ enabled: false }));
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+/** Recorded key events, e.g. [{ t, event: "down", key: "s" }, ...] */
+function timeline() {
+  return readFileSync(file, "utf-8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line))
+    .filter((e) => e.event !== "session");
+}
+
+const order = (events) => events.map((e) => `${e.event} ${e.key}`);
+
+test("chord presses in order and releases in reverse", async () => {
+  await chord(["SQUARE", "L1"], 20);
+  assert.deepEqual(order(timeline()), ["down s", "down q", "up q", "up s"]);
+  assert.deepEqual(heldKeys(), []);
+});
+
+test("holdWhileTapping waits lead before the tap and tail before releasing", async () => {
+  const measured = await holdWhileTapping("SQUARE", "DPAD_RIGHT", { holdMs: 30, lead: 40, tail: 50 });
+  const events = timeline();
+  assert.deepEqual(order(events), ["down s", "down right", "up right", "up s"]);
+
+  const [modDown, tapDown, tapUp, modUp] = events.map((e) => e.t);
+  assert.ok(tapDown - modDown >= 40 - EARLY_MS, `lead ${tapDown - modDown} ms`);
+  assert.ok(tapUp - tapDown >= 30 - EARLY_MS, `hold ${tapUp - tapDown} ms`);
+  assert.ok(modUp - tapUp >= 50 - EARLY_MS, `tail ${modUp - tapUp} ms`);
+  assert.ok(measured >= 30 - EARLY_MS && measured < 30 + 50, `measured ${measured} ms`);
+});
+
+test("holdWhileTapping without a modifier only taps", async () => {
+  await holdWhileTapping("-", "DPAD_LEFT", { times: 2, holdMs: 5, gapMs: 20 });
+  const events = timeline();
+  assert.deepEqual(order(events), ["down left", "up left", "down left", "up left"]);
+  assert.ok(events[2].t - events[1].t >= 20 - EARLY_MS, `gap ${events[2].t - events[1].t} ms`);
+});
+
+test("chord releases its buttons when the body throws", async () => {
+  await assert.rejects(
+    chord("SQUARE", async () => {
+      throw new Error("boom");
+    }, { tail: 10 }),
+    /boom/
+  );
+  assert.deepEqual(order(timeline()), ["down s", "up s"]);
+  assert.deepEqual(heldKeys(), []);
+});
+
+test("sequence runs steps in order and releases leftover downs in reverse", async () => {
+  const measured = await sequence([
+    { op: "down", key: "L1" },
+    { op: "down", key: "SQUARE" },
+    { op: "tap", key: "CROSS", ms: 10 },
+    { op: "wait", ms: 15 },
+    { op: "repeat", key: "DPAD_UP", times: 2, ms: 5 },
+  ]);
+  assert.deepEqual(order(timeline()), [
+    "down q",
+    "down s",
+    "down enter",
+    "up enter",
+    "down up",
+    "up up",
+    "down up",
+    "up up",
+    "up s",
+    "up q",
+  ]);
+  assert.ok(measured >= 20 - 3 * EARLY_MS, `measured ${measured} ms`);
+  assert.deepEqual(heldKeys(), []);
+});
+
+test("sequence rejects an unknown op and still releases what it held", async () => {
+  await assert.rejects(
+    sequence([{ op: "down", key: "SQUARE" }, { op: "bogus" }]),
+    /unknown op "bogus" at step 1/
+  );
+  assert.deepEqual(order(timeline()), ["down s", "up s"]);
+});
+
+test("a chord is paced as one press; taps inside it are not", async () => {
+  setPacer(createPacer({ minGapMs: 60 }));
+  await holdWhileTapping("SQUARE", "DPAD_RIGHT", { times: 2, holdMs: 5 });
+  await chord("L1", 5);
+
+  const events = timeline();
+  assert.deepEqual(order(events), [
+    "down s",
+    "down right",
+    "up right",
+    "down right",
+    "up right",
+    "up s",
+    "down q",
+    "up q",
+  ]);
+  assert.ok(events[3].t - events[2].t < 60, `inner gap ${events[3].t - events[2].t} ms`);
+  assert.ok(events[6].t - events[5].t >= 60 - EARLY_MS, `chord gap ${events[6].t - events[5].t} ms`);
+});
+
+test("settle waits out settleMs after the last press", async () => {
+  setPacer(createPacer({ settleMs: 50 }));
+  const pressed = performance.now();
+  await tapName("CROSS", 5);
+  await settle();
+  const settled = performance.now() - pressed;
+  assert.ok(settled >= 5 + 50 - EARLY_MS, `settled ${settled} ms after the press began`);
+
+  // Long after the press there is nothing left to wait for
+  const start = performance.now();
+  await settle();
+  assert.ok(performance.now() - start < 20, `second settle ${performance.now() - start} ms`);
+});
@@ -0,0 +1,34 @@
+// tests/sleep.test.js
+// An aborted or killed run exits non-zero: 130 for SIGINT / abort, 143 for SIGTERM.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn, spawnSync } from "child_process";
+import { once } from "events";
+
+const sleepUrl = new URL("../helpers/sleep.js", import.meta.url).href;
+
+// Waits in sleep() until killed, or aborts itself when asked to
+const child = (mode) => `
+  import { sleep, requestAbort } from ${JSON.stringify(sleepUrl)};
+  if (${JSON.stringify(mode)} === "request") requestAbort("test");
+  console.log("ready");
+  await sleep(10000);
+`;
+
+async function exitCodeAfter(signal) {
+  const proc = spawn(process.execPath, ["--input-type=module", "-e", child("wait")]);
+  await once(proc.stdout, "data");
+  proc.kill(signal);
+  const [code] = await once(proc, "exit");
+  return code;
+}
+
+test("SIGINT exits 130 and SIGTERM exits 143", async () => {
+  assert.equal(await exitCodeAfter("SIGINT"), 130);
+  assert.equal(await exitCodeAfter("SIGTERM"), 143);
+});
+
+test("requestAbort exits 130", () => {
+  const { status } = spawnSync(process.execPath, ["--input-type=module", "-e", child("request")]);
+  assert.equal(status, 130);
+});
@@ -0,0 +1,59 @@
+// tests/trackDiff.test.js
+// diffRows on edited copies of a sample track, and the CLI's exit codes.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import parseTrackData from "../trackParser.js";
+import { diffRows } from "../trackDiff.js";
+import { toSigned, toUnsigned } from "../helpers/hash.js";
+
+const trackFile = fileURLToPath(new URL("../data/hotdog.json", import.meta.url));
+const cliFile = fileURLToPath(new URL("../trackDiff.js", import.meta.url));
+const rows = await parseTrackData(JSON.parse(readFileSync(trackFile, "utf8")), { kinds: "both" });
+
+const dir = mkdtempSync(join(tmpdir(), "diff-test-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test("identical rows are all unchanged", () => {
+  assert.deepEqual(diffRows(rows, rows), { added: [], removed: [], moved: [], unchanged: rows.length });
+});
+
+test("rows match whether a hash is stored signed or unsigned", () => {
+  const respelled = rows.map((r) => ({
+    ...r,
+    model: r.model < 0 ? toUnsigned(r.model) : toSigned(r.model),
+  }));
+  const diff = diffRows(rows, respelled);
+  assert.equal(diff.unchanged, rows.length);
+});
+
+test("moved, removed and added rows are reported", () => {
+  const edited = rows.slice(1).map((r, i) =>
+    i === 0 ? { ...r, location: { ...r.location, x: r.location.x + 2 } } : r
+  );
+  const extra = { ...rows[2], location: { x: 0, y: 0, z: 0 } };
+  const diff = diffRows(rows, [...edited, extra]);
+
+  assert.deepEqual(diff.removed.map((r) => r.before), [0]);
+  assert.deepEqual(diff.added.map((r) => r.after), [edited.length]);
+  assert.deepEqual(diff.moved.map(({ before, dx }) => ({ before, dx })), [{ before: 1, dx: 2 }]);
+  assert.equal(diff.unchanged, rows.length - 2);
+});
+
+const run = (...args) => spawnSync(process.execPath, [cliFile, ...args], { encoding: "utf8" }).status;
+
+test("the CLI exits 0 when equal, 1 when different and 2 on an error", () => {
+  const data = JSON.parse(readFileSync(trackFile, "utf8"));
+  data.mission.prop.loc[0].x += 5;
+  const changed = join(dir, "changed.json");
+  writeFileSync(changed, JSON.stringify(data));
+
+  assert.equal(run(trackFile, trackFile, "--json"), 0);
+  assert.equal(run(trackFile, changed, "--json"), 1);
+  assert.equal(run(trackFile, join(dir, "missing.json")), 2);
+  assert.equal(run(trackFile), 2);
+});
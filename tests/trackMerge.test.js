@@ -0,0 +1,32 @@
+// tests/trackMerge.test.js
+// Duplicates are dropped across sources; inside one source only on request.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import parseTrackData from "../trackParser.js";
+import { mergeRows } from "../trackMerge.js";
+import { toSigned, toUnsigned } from "../helpers/hash.js";
+
+const rows = await parseTrackData(
+  JSON.parse(readFileSync(new URL("../data/hotdog.json", import.meta.url), "utf8")),
+  { kinds: "both" }
+);
+
+test("a track merged with itself keeps its own stacked props", () => {
+  const merged = mergeRows([{ rows }, { rows }]);
+  assert.equal(merged.rows.length, rows.length);
+  assert.ok(merged.dropped.every((d) => d.source === 1));
+});
+
+test("sameSource also drops duplicates within one source", () => {
+  const merged = mergeRows([{ rows }], { sameSource: true });
+  assert.ok(merged.rows.length < rows.length);
+  assert.ok(merged.dropped.every((d) => d.source === 0));
+});
+
+test("duplicates are found whether a hash is stored signed or unsigned", () => {
+  const respelled = rows.map((r) => ({ ...r, model: r.model < 0 ? toUnsigned(r.model) : toSigned(r.model) }));
+  const merged = mergeRows([{ rows }, { rows: respelled }]);
+  assert.equal(merged.rows.length, rows.length);
+  assert.equal(merged.dropped.length, rows.length);
+});
@@ -0,0 +1,48 @@
+// tests/trackParser.test.js
+// Strict validation of the sample tracks and of broken copies of them.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import parseTrackData, { validateTrack } from "../trackParser.js";
+
+const load = (name) => JSON.parse(readFileSync(new URL(`../data/${name}`, import.meta.url), "utf8"));
+
+for (const name of ["hotdog.json", "tubetest.json"]) {
+  test(`${name} passes strict parsing without --root`, async () => {
+    assert.deepEqual(validateTrack(load(name), { kinds: "both" }), []);
+    const strict = await parseTrackData(load(name), { kinds: "both", strict: true });
+    assert.deepEqual(strict, await parseTrackData(load(name), { kinds: "both" }));
+  });
+}
+
+test("broken race, veh, weap and fsp sections are errors", () => {
+  const data = load("hotdog.json");
+  data.mission.race.chh.pop();
+  data.mission.veh.head[2] = "x";
+  data.mission.weap.rotx = [0];
+  data.mission.fsp.loc[0] = { x: 1, y: 2 };
+
+  const errors = validateTrack(data).filter((i) => i.level === "error").map((i) => i.path);
+  assert.deepEqual(errors, [
+    "mission.race.chh",
+    "mission.veh.head[2]",
+    "mission.weap.rotx",
+    "mission.fsp.loc[0].z",
+  ]);
+});
+
+test("a track without a dprop block passes strict parsing with kinds both", async () => {
+  const data = load("hotdog.json");
+  delete data.mission.dprop;
+
+  assert.deepEqual(validateTrack(data, { kinds: "both" }), []);
+  const rows = await parseTrackData(data, { kinds: "both", strict: true });
+  assert.deepEqual(rows, await parseTrackData(data, { kinds: "both" }));
+  assert.ok(rows.length > 0 && rows.every((r) => r.kind === "prop"));
+
+  // Asked for by name, the block must be there
+  assert.deepEqual(
+    validateTrack(data, { kinds: "dprop" }).map((i) => i.path),
+    ["mission.dprop"]
+  );
+});
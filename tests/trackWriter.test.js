@@ -0,0 +1,130 @@
+// tests/trackWriter.test.js
+// Round-trips of the sample tracks, and row removal / insertion.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import parseTrackData from "../trackParser.js";
+import { writeTrackText, writeValuesText } from "../trackWriter.js";
+
+const read = (name) => readFileSync(new URL(`../data/${name}`, import.meta.url), "utf8");
+
+for (const name of ["hotdog.json", "tubetest.json"]) {
+  for (const rootPath of [undefined, "mission"]) {
+    test(`${name} round-trips byte-stable (kinds both, root ${rootPath ?? "auto"})`, async () => {
+      const text = read(name);
+      const rows = await parseTrackData(JSON.parse(text), { rootPath, kinds: "both" });
+      assert.equal(writeTrackText(text, rows, { rootPath, kinds: "both" }), text);
+    });
+  }
+}
+
+// Everything outside the two prop blocks, which must come through untouched
+function outsideProps(text) {
+  const data = JSON.parse(text);
+  delete data.mission.prop;
+  delete data.mission.dprop;
+  return data;
+}
+
+test("removing rows shortens every aligned array and updates no", async () => {
+  const text = read("hotdog.json");
+  const rows = await parseTrackData(JSON.parse(text), { kinds: "both" });
+  const kept = rows.filter((r, i) => i !== 3 && i !== 95); // one prop, one dprop
+
+  const out = writeTrackText(text, kept, { kinds: "both" });
+  const before = JSON.parse(text).mission;
+  const after = JSON.parse(out).mission;
+
+  assert.equal(after.prop.no, before.prop.no - 1);
+  assert.equal(after.dprop.no, before.dprop.no - 1);
+  for (const [key, values] of Object.entries(before.prop)) {
+    if (Array.isArray(values) && values.length === before.prop.no) {
+      assert.deepEqual(after.prop[key], values.filter((_, i) => i !== 3), `prop.${key}`);
+    }
+  }
+  assert.deepEqual(await parseTrackData(JSON.parse(out), { kinds: "both" }), kept);
+  assert.deepEqual(outsideProps(out), outsideProps(text));
+});
+
+test("inserted rows are read back, with float-styled numbers and blank siblings", async () => {
+  const text = read("hotdog.json");
+  const rows = await parseTrackData(JSON.parse(text), { kinds: "both" });
+  const added = {
+    kind: "prop",
+    model: rows[0].model,
+    location: { x: 10, y: -20.5, z: 30 },
+    rotation: { x: 0, y: 0, z: 90 },
+  };
+  const props = rows.filter((r) => r.kind === "prop");
+  const edited = [...props.slice(0, 5), added, ...props.slice(5), ...rows.filter((r) => r.kind === "dprop")];
+
+  const out = writeTrackText(text, edited, { kinds: "both" });
+  const after = JSON.parse(out).mission.prop;
+  assert.equal(after.no, props.length + 1);
+  assert.deepEqual(after.loc[5], added.location);
+  assert.match(out, /\{"x":10\.0,"y":-20\.5,"z":30\.0\}/);
+
+  // Siblings the new row does not carry get a neutral value of their type
+  const before = JSON.parse(text).mission.prop;
+  for (const [key, values] of Object.entries(before)) {
+    if (Array.isArray(values) && values.length === before.no && typeof values[0] === "number") {
+      if (!(key in added)) assert.equal(after[key][5], 0, `prop.${key}`);
+    }
+  }
+
+  const back = await parseTrackData(JSON.parse(out), { kinds: "both" });
+  const { kind, model, location, rotation } = back[5];
+  assert.deepEqual({ kind, model, location, rotation }, added);
+  assert.deepEqual(outsideProps(out), outsideProps(text));
+
+  // Taking the row out again restores the original bytes
+  assert.equal(writeTrackText(out, rows, { kinds: "both" }), text);
+});
+
+test("an empty dprop block is found without rootPath and can be filled", async () => {
+  const text = read("tubetest.json");
+  const rows = await parseTrackData(JSON.parse(text), { kinds: "both" });
+  const dprop = { ...rows[0], kind: "dprop" };
+
+  const out = writeTrackText(text, [...rows, dprop], { kinds: "both" });
+  const back = await parseTrackData(JSON.parse(out), { kinds: "both" });
+  assert.deepEqual(back.filter((r) => r.kind === "dprop").map((r) => r.location), [dprop.location]);
+  assert.equal(writeTrackText(out, rows, { kinds: "both" }), text);
+});
+
+test("writeValuesText replaces values by path and keeps unchanged ones byte for byte", () => {
+  const text = read("hotdog.json");
+  const race = JSON.parse(text).mission.race;
+  const same = [
+    { path: ["mission", "race", "chh"], value: race.chh },
+    { path: ["mission", "race", "grid"], value: race.grid },
+    { path: ["mission", "race", "head"], value: race.head },
+  ];
+  assert.equal(writeValuesText(text, same), text);
+
+  const chh = race.chh.map((h, i) => (i === 0 ? 90 : h));
+  const out = writeValuesText(text, [
+    { path: ["mission", "race", "chh"], value: chh },
+    { path: ["mission", "race", "head"], value: 12.5 },
+  ]);
+  const after = JSON.parse(out).mission;
+  assert.deepEqual(after.race.chh, chh);
+  assert.equal(after.race.head, 12.5);
+  assert.equal(writeValuesText(out, same), text);
+});
+
+test("fixed-size tables are left alone when their length matches the prop count", async () => {
+  const data = JSON.parse(read("hotdog.json"));
+  const { prop } = data.mission;
+  prop.prDFXDSz = prop.prDFXDSz.slice(0, prop.no);
+  prop.prSFXDSz = prop.prSFXDSz.slice(0, prop.no);
+  const text = JSON.stringify(data);
+
+  const rows = await parseTrackData(JSON.parse(text), { kinds: "both" });
+  assert.ok(rows.every((r) => !("prDFXDSz" in r) && !("prSFXDSz" in r)));
+
+  const after = JSON.parse(writeTrackText(text, rows.slice(1), { kinds: "both" })).mission.prop;
+  assert.equal(after.no, prop.no - 1);
+  assert.deepEqual(after.prDFXDSz, prop.prDFXDSz);
+  assert.deepEqual(after.prSFXDSz, prop.prSFXDSz);
+});
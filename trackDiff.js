@@ -0,0 +1,174 @@
+// trackDiff.js
+// What differs between two tracks, e.g. a source track and the copy saved
+// after cloning it. Props are matched by model and nearest location, not by
+// index (the Creator saves in its own order), then reported as added,
+// removed or moved, with position and rotation deltas per axis.
+//
+// CLI:
+//   node trackDiff.js <before.json> <after.json> [--root mission]
+//     [--kinds prop|dprop|both] [--tol 0.01] [--rot-tol 0.5] [--max-match 25] [--json]
+// --kinds defaults to both. Exits with code 1 when the tracks differ and 2
+// on an error (bad arguments, unreadable track), like diff(1).
+import { pathToFileURL } from "url";
+import parseTrackData from "./trackParser.js";
+import { toUnsigned } from "./helpers/hash.js";
+import { rotationAngle, round3, wrap180 } from "./helpers/rotation.js";
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+/**
+ * Diff two row lists.
+ * @param {Array<Object>} before - rows as returned by parseTrackData
+ * @param {Array<Object>} after
+ * @param {{ tol?: number, rotTol?: number, maxMatch?: number }} [options]
+ *   tol: metres a prop may move and still be unchanged; rotTol: degrees the
+ *   same for orientation; maxMatch: farthest two props of one model are
+ *   still taken as the same prop (beyond it: removed + added)
+ * @returns {{
+ *   added: Array<{ after:number, kind:string, model:number, location:object, rotation:object }>,
+ *   removed: Array<{ before:number, kind:string, model:number, location:object, rotation:object }>,
+ *   moved: Array<{ before:number, after:number, kind:string, model:number, distance:number,
+ *     dx:number, dy:number, dz:number, angle:number, drx:number, dry:number, drz:number }>,
+ *   unchanged: number,
+ * }}
+ */
+export function diffRows(before, after, options = {}) {
+  const { tol = 0.01, rotTol = 0.5, maxMatch = 25 } = options;
+
+  // Every same-model pair within reach, nearest first; take a pair when
+  // neither side is matched yet
+  // A hash may be stored signed in one file and unsigned in the other
+  const pairs = [];
+  const keyOf = (r) => `${r.kind ?? "prop"}/${toUnsigned(r.model)}`;
+  const afterByKey = new Map();
+  after.forEach((r, j) => {
+    const key = keyOf(r);
+    afterByKey.set(key, [...(afterByKey.get(key) ?? []), j]);
+  });
+  before.forEach((a, i) => {
+    for (const j of afterByKey.get(keyOf(a)) ?? []) {
+      const d = distance(a.location, after[j].location);
+      if (d <= maxMatch) pairs.push({ i, j, d });
+    }
+  });
+  pairs.sort((p, q) => p.d - q.d || rotationAngle(before[p.i].rotation, after[p.j].rotation) -
+    rotationAngle(before[q.i].rotation, after[q.j].rotation));
+
+  const matchedBefore = new Map();
+  const matchedAfter = new Set();
+  for (const { i, j } of pairs) {
+    if (matchedBefore.has(i) || matchedAfter.has(j)) continue;
+    matchedBefore.set(i, j);
+    matchedAfter.add(j);
+  }
+
+  const brief = (r) => ({ kind: r.kind ?? "prop", model: r.model, location: r.location, rotation: r.rotation });
+
+  const removed = before.flatMap((r, i) => (matchedBefore.has(i) ? [] : [{ before: i, ...brief(r) }]));
+  const added = after.flatMap((r, j) => (matchedAfter.has(j) ? [] : [{ after: j, ...brief(r) }]));
+
+  const moved = [];
+  let unchanged = 0;
+  for (const [i, j] of [...matchedBefore].sort((p, q) => p[0] - q[0])) {
+    const a = before[i];
+    const b = after[j];
+    const d = distance(a.location, b.location);
+    const angle = rotationAngle(a.rotation, b.rotation);
+    if (d <= tol && angle <= rotTol) {
+      unchanged++;
+      continue;
+    }
+    moved.push({
+      before: i,
+      after: j,
+      kind: a.kind ?? "prop",
+      model: a.model,
+      distance: round3(d),
+      dx: round3(b.location.x - a.location.x),
+      dy: round3(b.location.y - a.location.y),
+      dz: round3(b.location.z - a.location.z),
+      angle: round3(angle),
+      drx: round3(wrap180(b.rotation.x - a.rotation.x)),
+      dry: round3(wrap180(b.rotation.y - a.rotation.y)),
+      drz: round3(wrap180(b.rotation.z - a.rotation.z)),
+    });
+  }
+
+  return { added, removed, moved, unchanged };
+}
+
+// ===== CLI =====
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx !== -1 && idx + 1 < process.argv.length) {
+    return process.argv[idx + 1];
+  }
+  return null;
+}
+
+const numArg = (name) => (getArg(name) != null ? Number(getArg(name)) : undefined);
+
+async function cli() {
+  const [beforeFile, afterFile] = process.argv.slice(2);
+  if (!beforeFile || !afterFile || beforeFile.startsWith("--") || afterFile.startsWith("--")) {
+    throw new Error(
+      "Usage: node trackDiff.js <before.json> <after.json> [--root mission] [--kinds prop|dprop|both] " +
+        "[--tol 0.01] [--rot-tol 0.5] [--max-match 25] [--json]"
+    );
+  }
+
+  const rootPath = getArg("--root") ?? undefined;
+  const kinds = getArg("--kinds") ?? "both";
+  const before = await parseTrackData(beforeFile, { rootPath, kinds });
+  const after = await parseTrackData(afterFile, { rootPath, kinds });
+  const diff = diffRows(before, after, {
+    tol: numArg("--tol"),
+    rotTol: numArg("--rot-tol"),
+    maxMatch: numArg("--max-match"),
+  });
+  const changes = diff.added.length + diff.removed.length + diff.moved.length;
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify(diff, null, 2));
+    return changes;
+  }
+
+  const flat = (r) => ({
+    kind: r.kind,
+    model: r.model,
+    x: r.location.x,
+    y: r.location.y,
+    z: r.location.z,
+    rx: r.rotation.x,
+    ry: r.rotation.y,
+    rz: r.rotation.z,
+  });
+
+  if (diff.moved.length) {
+    console.log("\nMoved:");
+    console.table(diff.moved);
+  }
+  if (diff.removed.length) {
+    console.log("\nRemoved (only in before):");
+    console.table(diff.removed.map((r) => ({ before: r.before, ...flat(r) })));
+  }
+  if (diff.added.length) {
+    console.log("\nAdded (only in after):");
+    console.table(diff.added.map((r) => ({ after: r.after, ...flat(r) })));
+  }
+  console.log(
+    `\n${before.length} → ${after.length} rows: ${diff.unchanged} unchanged, ` +
+      `${diff.moved.length} moved, ${diff.removed.length} removed, ${diff.added.length} added`
+  );
+  return changes;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli()
+    .then((changes) => process.exit(changes ? 1 : 0))
+    .catch((err) => {
+      console.error("Error:", err?.message || err);
+      process.exit(2);
+    });
+}
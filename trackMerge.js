@@ -0,0 +1,212 @@
+// trackMerge.js
+// Stitch props from several tracks into one: each source is read through
+// parseTrackData, moved by its own yaw/offset (trackTransform.js), and
+// props that duplicate one from an earlier source (same model, within a
+// position and rotation tolerance) are dropped. Earlier sources win.
+// Duplicates inside one source are kept (tracks stack props on purpose)
+// unless --dedupe-same-source is given.
+//
+// CLI (--offset/--yaw/--pivot apply to the source before them):
+//   node trackMerge.js a.json b.json --offset 120,-40,0 --yaw 90 [c.json ...]
+//     [--root mission] [--kinds prop|dprop|both] [--tol 0.05] [--rot-tol 1]
+//     [--dedupe-same-source] [--limit 3000] [--dlimit 100]
+//     (--out merged.json | --rows rows.jsonl)
+// --kinds defaults to both. --out writes into a copy of the first source's
+// document: its checkpoints, grid, vehicles, start points and weapons move
+// with its props; those sections of the other sources are not merged (a
+// warning names them).
+import { readFile, writeFile } from "fs/promises";
+import { pathToFileURL } from "url";
+import parseTrackData from "./trackParser.js";
+import { writeTrackText, writeValuesText } from "./trackWriter.js";
+import { centroid, sectionsWithContent, transformRows, transformSections } from "./trackTransform.js";
+import { toUnsigned } from "./helpers/hash.js";
+import { rotationAngle } from "./helpers/rotation.js";
+
+// Creator placement limits; override with --limit / --dlimit
+export const PROP_LIMITS = { prop: 3000, dprop: 100 };
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+/**
+ * Merge row lists.
+ * @param {Array<{ name?: string, rows: Array<Object>, yaw?: number,
+ *   pivot?: object|"centroid", offset?: {x?:number,y?:number,z?:number} }>} sources
+ * @param {{ tol?: number, rotTol?: number, sameSource?: boolean,
+ *   limits?: {prop?:number, dprop?:number} }} [options]
+ *   tol in metres, rotTol in degrees; sameSource also drops duplicates
+ *   within one source (default: only against earlier sources)
+ * @returns {{ rows: Array<Object>,
+ *   dropped: Array<{ source:number, name:string, index:number, model:number, duplicateOf:number }>,
+ *   warnings: string[] }}
+ */
+export function mergeRows(sources, options = {}) {
+  const { tol = 0.05, rotTol = 1, sameSource = false } = options;
+  const limits = { ...PROP_LIMITS, ...options.limits };
+
+  const rows = [];
+  const dropped = [];
+  const origin = []; // source index of each kept row
+  const byModel = new Map(); // unsigned model hash → indexes into rows
+
+  for (const [s, source] of sources.entries()) {
+    const name = source.name ?? `source ${s}`;
+    const placed = transformRows(source.rows, {
+      yaw: source.yaw ?? 0,
+      pivot: source.pivot ?? "centroid",
+      translate: source.offset,
+    });
+
+    for (const [index, row] of placed.entries()) {
+      const model = toUnsigned(row.model); // sources may spell a hash signed or unsigned
+      const same = byModel.get(model) ?? [];
+      const dup = same.find(
+        (i) =>
+          (sameSource || origin[i] !== s) &&
+          rows[i].kind === row.kind &&
+          distance(rows[i].location, row.location) <= tol &&
+          rotationAngle(rows[i].rotation, row.rotation) <= rotTol
+      );
+      if (dup !== undefined) {
+        dropped.push({ source: s, name, index, model: row.model, duplicateOf: dup });
+        continue;
+      }
+      byModel.set(model, [...same, rows.length]);
+      rows.push(row);
+      origin.push(s);
+    }
+  }
+
+  const warnings = [];
+  for (const [kind, limit] of Object.entries(limits)) {
+    const n = rows.filter((r) => (r.kind ?? "prop") === kind).length;
+    if (n > limit) warnings.push(`${n} ${kind} rows: over the Creator's limit of ${limit}`);
+  }
+
+  return { rows, dropped, warnings };
+}
+
+// ===== CLI =====
+
+function parseVector(text, name) {
+  const parts = text.split(",").map(Number);
+  if (parts.length !== 3 || parts.some((n) => !Number.isFinite(n))) {
+    throw new Error(`${name} expects x,y,z (got "${text}")`);
+  }
+  const [x, y, z] = parts;
+  return { x, y, z };
+}
+
+// Sources are positional; --offset/--yaw/--pivot attach to the last one
+function parseArgs(argv) {
+  const sources = [];
+  const opts = {};
+  const current = (flag) => {
+    if (!sources.length) throw new Error(`${flag} must follow a source file`);
+    return sources[sources.length - 1];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${a} expects a value`);
+      return argv[++i];
+    };
+    switch (a) {
+      case "--offset":
+        current(a).offset = parseVector(next(), a);
+        break;
+      case "--yaw":
+        current(a).yaw = Number(next());
+        if (!Number.isFinite(current(a).yaw)) throw new Error(`--yaw expects degrees`);
+        break;
+      case "--dedupe-same-source":
+        opts.dedupeSameSource = true;
+        break;
+      case "--pivot": {
+        const v = next();
+        current(a).pivot = v === "centroid" ? "centroid" : parseVector(v, a);
+        break;
+      }
+      default:
+        if (a.startsWith("--")) opts[a.slice(2)] = next();
+        else sources.push({ file: a });
+    }
+  }
+  return { sources, opts };
+}
+
+async function cli() {
+  const { sources, opts } = parseArgs(process.argv.slice(2));
+  if (sources.length < 2 || (!opts.out && !opts.rows)) {
+    throw new Error(
+      "Usage: node trackMerge.js a.json [--offset x,y,z] [--yaw deg] [--pivot x,y,z|centroid] b.json [...] " +
+        "[--root mission] [--kinds prop|dprop|both] [--tol 0.05] [--rot-tol 1] [--dedupe-same-source] " +
+        "[--limit 3000] [--dlimit 100] " +
+        "(--out merged.json | --rows rows.jsonl)"
+    );
+  }
+
+  const rootPath = opts.root;
+  const kinds = opts.kinds ?? "both";
+  const texts = [];
+  for (const source of sources) {
+    const text = await readFile(source.file, "utf8");
+    texts.push(text);
+    source.name = source.file;
+    source.data = JSON.parse(text);
+    source.rows = await parseTrackData(source.data, { rootPath, kinds });
+  }
+
+  const { rows, dropped, warnings } = mergeRows(sources, {
+    tol: opts.tol != null ? Number(opts.tol) : undefined,
+    rotTol: opts["rot-tol"] != null ? Number(opts["rot-tol"]) : undefined,
+    sameSource: opts.dedupeSameSource,
+    limits: {
+      ...(opts.limit ? { prop: Number(opts.limit) } : {}),
+      ...(opts.dlimit ? { dprop: Number(opts.dlimit) } : {}),
+    },
+  });
+
+  console.table(
+    sources.map((s, i) => ({
+      source: s.file,
+      rows: s.rows.length,
+      dropped: dropped.filter((d) => d.source === i).length,
+      offset: s.offset ? `${s.offset.x},${s.offset.y},${s.offset.z}` : "-",
+      yaw: s.yaw ?? 0,
+    }))
+  );
+  console.log(`${rows.length} rows after merge, ${dropped.length} duplicate(s) dropped`);
+  if (opts.out) {
+    for (const s of sources.slice(1)) {
+      const lost = sectionsWithContent(s.data, rootPath);
+      if (lost.length) warnings.push(`${s.file}: ${lost.join(", ")} not merged (only ${sources[0].file}'s are kept)`);
+    }
+  }
+  for (const w of warnings) console.warn(`⚠ ${w}`);
+
+  if (opts.out) {
+    // The first source's other sections move the way its props did
+    const [first] = sources;
+    const edits = transformSections(first.data, {
+      rootPath,
+      yaw: first.yaw ?? 0,
+      pivot: !first.pivot || first.pivot === "centroid" ? centroid(first.rows) : first.pivot,
+      translate: first.offset,
+    });
+    const merged = writeTrackText(texts[0], rows, { rootPath, kinds });
+    await writeFile(opts.out, writeValuesText(merged, edits), "utf8");
+    console.log(`Wrote ${opts.out}`);
+  }
+  if (opts.rows) {
+    await writeFile(opts.rows, rows.map((r) => JSON.stringify(r)).join("\n") + "\n", "utf8");
+    console.log(`Wrote ${opts.rows}`);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli().catch((err) => {
+    console.error("Error:", err?.message || err);
+    process.exit(1);
+  });
+}
@@ -1,17 +1,41 @@
 // trackParser.mjs
-import { readFile } from "fs/promises";
+//
+// Also a CLI, to inspect a track without writing a script:
+//   node trackParser.js <track.json> [--root mission] [--kinds prop|dprop|both]
+//     [--format table|csv|jsonl] [--columns index,model,modelName,location.x,...|all]
+//     [--hashes] [--strict] [--out file]
+// Nested values are addressed with dots (location.x). modelName comes from
+// commands/propMenu.json; --hashes adds signed/unsigned/hex model hash columns.
+// A table cannot go to a file: with --out it is written as CSV.
+// --strict validates first (validateTrack, under mission unless --root says
+// otherwise) and exits 1 on any error.
+import { readFile, writeFile } from "fs/promises";
+import { pathToFileURL } from "url";
+import { loadMenuFile } from "./helpers/menuMacro.js";
+import { toHex, toSigned, toUnsigned } from "./helpers/hash.js";
 
 /**
  * Parse a track JSON (file path or object) and return an array of rows where each row
  * combines model[i], loc[i], vRot[i], plus any other arrays in the same root
  * with the same length as model.
  *
+ * Every row carries `kind`: "prop" for static props (mission.prop), "dprop"
+ * for dynamic props (mission.dprop). Without `kinds`, the first block found
+ * is used (legacy behaviour, normally mission.prop).
+ *
+ * With `strict`, the track is checked by validateTrack first and any error
+ * throws (err.issues lists them); the blocks are then read from exactly
+ * <rootPath>.<kind> (rootPath defaulting to "mission" when the track has
+ * one), with no searching and no truncation.
+ *
  * @param {string|object} source - Path to JSON file OR already-parsed JSON object.
  * @param {{
  *   rootPath?: string,          // dot path to a sub-object, e.g. "mission" or "foo.bar"
  *   modelKey?: string,          // defaults "model" (case-insensitive match supported)
  *   locKey?: string,            // defaults "loc"
- *   rotKey?: string             // defaults "vRot"
+ *   rotKey?: string,            // defaults "vRot"
+ *   kinds?: "prop"|"dprop"|"both", // which prop blocks to read (props first for "both")
+ *   strict?: boolean            // validate first, fail on any error (kinds defaults to "prop")
  * }} [options]
  * @returns {Promise<Array<Object>>}
  */
@@ -21,24 +45,31 @@ export async function parseTrackData(source, options = {}) {
     modelKey = "model",
     locKey = "loc",
     rotKey = "vRot",
+    strict = false,
   } = options;
+  const kinds = options.kinds ?? (strict ? "prop" : undefined);
 
-  // 1) Load JSON
-  const data = typeof source === "string"
-    ? JSON.parse(await readFile(source, "utf8"))
-    : source;
+  // 1) Load JSON, 2) resolve explicit root if provided
+  const { data, rootObj } = await loadRoot(source, rootPath);
 
-  if (!data || typeof data !== "object") {
-    throw new Error("Input is not valid JSON/object.");
-  }
-
-  // 2) Resolve explicit root if provided
-  let rootObj = data;
-  if (rootPath) {
-    rootObj = getByDotPath(data, rootPath);
-    if (!rootObj) {
-      throw new Error(`rootPath "${rootPath}" not found in JSON.`);
+  if (strict) {
+    const issues = validateTrack(data, { rootPath, kinds, modelKey, locKey, rotKey });
+    const errors = issues.filter((i) => i.level === "error");
+    if (errors.length) {
+      const err = new Error(
+        `Track failed strict validation (${errors.length} error(s)):\n` +
+        errors.slice(0, 20).map((i) => `- ${i.path}: ${i.msg}`).join("\n") +
+        (errors.length > 20 ? `\n- ... ${errors.length - 20} more` : "")
+      );
+      err.issues = issues;
+      throw err;
     }
+    const keyMap = { model: modelKey, loc: locKey, rot: rotKey };
+    const blockPath = strictRootPath(data, rootPath);
+    const blocks = blockPath ? getByDotPath(data, blockPath) : data;
+    return KINDS[kinds]
+      .filter((kind) => blocks[kind] !== undefined)
+      .flatMap((kind) => blockRows({ node: blocks[kind], keyMap }, kind));
   }
 
   // 3) Try to find a block that has the three arrays
@@ -48,6 +79,28 @@ export async function parseTrackData(source, options = {}) {
     rot: rotKey,
   };
 
+  if (kinds) {
+    const wanted = KINDS[kinds];
+    if (!wanted) {
+      throw new Error(`Unknown kinds "${kinds}" (expected one of: ${Object.keys(KINDS).join(", ")})`);
+    }
+    const blocks = wanted
+      .map((kind) => ({
+        kind,
+        block: findBlockWithCoreArrays(rootObj, keysCI, kind)
+            ?? findBlockWithCoreArrays(data, keysCI, kind),
+      }))
+      .filter((b) => b.block);
+
+    if (blocks.length === 0) {
+      throw new Error(
+        `Could not find a ${wanted.join("/")} block with model, loc and vRot arrays.\n` +
+        `Hints:\n${collectShapeHints(data, keysCI)}`
+      );
+    }
+    return blocks.flatMap(({ kind, block }) => blockRows(block, kind));
+  }
+
   const found = findBlockWithCoreArrays(rootObj, keysCI)
              ?? findBlockWithCoreArrays(data, keysCI); // fallback: search whole doc
 
@@ -59,15 +112,472 @@ export async function parseTrackData(source, options = {}) {
     );
   }
 
-  const { node, keyMap, path } = found;
+  // Optional: you can log where it found the arrays
+  // console.log(`Found model/loc/vRot at: ${found.path.join(".")}`);
+
+  const kind = found.path[found.path.length - 1] === "dprop" ? "dprop" : "prop";
+  return blockRows(found, kind);
+}
+
+export default parseTrackData;
+
+/**
+ * Parse the race checkpoints (mission.race) of a track JSON.
+ * Rows are in route order:
+ *   { index, location, heading, size, pitch,
+ *     secondary: { location, size, pitch } | null,
+ *     bits: { cpbs1, cpbs2, cpbs3 }, extra: { <other per-checkpoint arrays> } }
+ * `bits` are the raw type bitsets: which bit means round/air/... has not
+ * been confirmed against the game, so they are not decoded here.
+ *
+ * The checkpoint count is race.chp (or chl.length). Per-checkpoint arrays of a
+ * different length are reported in `mismatches`, never truncated: missing
+ * values come back as null.
+ *
+ * @param {string|object} source - Path to JSON file OR already-parsed JSON object.
+ * @param {{ rootPath?: string }} [options] - dot path to search under, e.g. "mission"
+ * @returns {Promise<{ rows: Array<Object>, mismatches: Array<{key:string, length:number, expected:number}> }>}
+ */
+export async function parseCheckpoints(source, options = {}) {
+  const { data, rootObj } = await loadRoot(source, options.rootPath);
+
+  const race = findRaceBlock(rootObj) ?? findRaceBlock(data);
+  if (!race) {
+    throw new Error(`Could not find race checkpoints (chl) anywhere in JSON.`);
+  }
+
+  const count = Number.isInteger(race.chp) ? race.chp : race.chl.length;
+
+  const perCheckpoint = Object.keys(race).filter(
+    (k) => CHECKPOINT_KEY.test(k) && Array.isArray(race[k])
+  );
+  const mismatches = perCheckpoint
+    .filter((k) => race[k].length !== count)
+    .map((k) => ({ key: k, length: race[k].length, expected: count }));
+
+  const at = (key, i) => (Array.isArray(race[key]) && i < race[key].length ? race[key][i] : null);
+  const known = new Set(["chl", "chh", "chs", "chs2", "chpp", "chpps", "sndchk", "cpbs1", "cpbs2", "cpbs3"]);
+
+  const rows = Array.from({ length: count }, (_, i) => {
+    const bits = { cpbs1: at("cpbs1", i) ?? 0, cpbs2: at("cpbs2", i) ?? 0, cpbs3: at("cpbs3", i) ?? 0 };
+
+    const sndLoc = at("sndchk", i);
+    const hasSecondary = !!sndLoc && ["x", "y", "z"].some((k) => Number(sndLoc[k]) !== 0);
+
+    const extra = {};
+    for (const k of perCheckpoint) {
+      if (!known.has(k)) extra[k] = at(k, i);
+    }
+
+    return {
+      index: i,
+      location: at("chl", i),
+      heading: at("chh", i),
+      size: at("chs", i),
+      pitch: at("chpp", i),
+      secondary: hasSecondary
+        ? { location: sndLoc, size: at("chs2", i), pitch: at("chpps", i) }
+        : null,
+      bits,
+      extra,
+    };
+  });
+
+  return { rows, mismatches };
+}
+
+/* -------------------- helpers -------------------- */
+
+/**
+ * Locate a prop block (mission.prop / mission.dprop) the way parseTrackData
+ * does, for code that edits it in place (trackWriter.js).
+ * @param {object} data - parsed track JSON
+ * @param {{ rootPath?: string, kind?: "prop"|"dprop", modelKey?: string, locKey?: string, rotKey?: string }} [options]
+ * @returns {{ node: object, keyMap: {model:string, loc:string, rot:string}, path: string[] } | null}
+ *   path is from the document root
+ */
+export function findPropBlock(data, options = {}) {
+  const { rootPath, kind = "prop", modelKey = "model", locKey = "loc", rotKey = "vRot" } = options;
+  const rootObj = rootPath ? getByDotPath(data, rootPath) : data;
+  if (!rootObj) return null;
+  const found = findBlockWithCoreArrays(rootObj, { model: modelKey, loc: locKey, rot: rotKey }, kind);
+  if (!found) return null;
+  return { ...found, path: [...(rootPath ? rootPath.split(".") : []), ...found.path] };
+}
+
+const KINDS = {
+  prop: ["prop"],
+  dprop: ["dprop"],
+  both: ["prop", "dprop"],
+};
+
+/**
+ * Parse the vehicles (mission.veh) of a track JSON:
+ *   { index, model, location, heading, rotation, colour, livery, extra }
+ * Heading is as stored (it can be above 360). Colour/livery -1 = default.
+ *
+ * @param {string|object} source - Path to JSON file OR already-parsed JSON object.
+ * @param {{ rootPath?: string }} [options] - dot path to search under, e.g. "mission"
+ * @returns {Promise<{ rows: Array<Object>, mismatches: Array<{key:string, length:number, expected:number}> }>}
+ */
+export async function parseVehicles(source, options = {}) {
+  const { data, rootObj } = await loadRoot(source, options.rootPath);
+
+  const veh = findSection(rootObj, "veh") ?? findSection(data, "veh");
+  if (!veh) {
+    throw new Error(`Could not find vehicles (veh.loc) anywhere in JSON.`);
+  }
+
+  return sectionRows(veh, Number.isInteger(veh.no) ? veh.no : veh.loc.length, {
+    model: "model",
+    location: "loc",
+    heading: "head",
+    rotation: "rot",
+    colour: "col",
+    livery: "liv",
+  });
+}
+
+/**
+ * Parse the weapon / pickup placements (mission.weap) of a track JSON:
+ *   { index, type, location, heading, rotX, rotY, extra }
+ * `type` is the pickup hash as stored (signed).
+ *
+ * @param {string|object} source - Path to JSON file OR already-parsed JSON object.
+ * @param {{ rootPath?: string }} [options] - dot path to search under, e.g. "mission"
+ * @returns {Promise<{ rows: Array<Object>, mismatches: Array<{key:string, length:number, expected:number}> }>}
+ */
+export async function parseWeapons(source, options = {}) {
+  const { data, rootObj } = await loadRoot(source, options.rootPath);
+
+  const weap = findSection(rootObj, "weap") ?? findSection(data, "weap");
+  if (!weap) {
+    throw new Error(`Could not find weapons (weap.loc) anywhere in JSON.`);
+  }
+
+  return sectionRows(weap, weap.loc.length, {
+    type: "type",
+    location: "loc",
+    heading: "head",
+    rotX: "rotx",
+    rotY: "roty",
+  });
+}
+
+/**
+ * Parse where players start: the race grid (race.grid / race.head) and the
+ * spawn points (mission.fsp loc/head), in that order:
+ *   { index, kind: "grid"|"spawn", location, heading }
+ * Spawn points left at 0,0,0 are unset in the Creator and are not returned.
+ *
+ * @param {string|object} source - Path to JSON file OR already-parsed JSON object.
+ * @param {{ rootPath?: string }} [options] - dot path to search under, e.g. "mission"
+ * @returns {Promise<{ rows: Array<Object>, mismatches: Array<{key:string, length:number, expected:number}> }>}
+ */
+export async function parseStarts(source, options = {}) {
+  const { data, rootObj } = await loadRoot(source, options.rootPath);
+
+  const rows = [];
+  const mismatches = [];
+
+  const race = findRaceBlock(rootObj) ?? findRaceBlock(data);
+  if (race?.grid && ["x", "y", "z"].every((k) => typeof race.grid[k] === "number")) {
+    rows.push({ kind: "grid", location: race.grid, heading: race.head ?? null });
+  }
+
+  const fsp = findSection(rootObj, "fsp") ?? findSection(data, "fsp");
+  if (fsp) {
+    const spawns = sectionRows(fsp, fsp.loc.length, { location: "loc", heading: "head" });
+    mismatches.push(...spawns.mismatches);
+    for (const r of spawns.rows) {
+      if (["x", "y", "z"].every((k) => r.location[k] === 0)) continue;
+      rows.push({ kind: "spawn", location: r.location, heading: r.heading });
+    }
+  }
+
+  return { rows: rows.map((r, index) => ({ index, ...r })), mismatches };
+}
+
+async function loadRoot(source, rootPath) {
+  const data = typeof source === "string"
+    ? JSON.parse(await readFile(source, "utf8"))
+    : source;
+
+  if (!data || typeof data !== "object") {
+    throw new Error("Input is not valid JSON/object.");
+  }
+
+  let rootObj = data;
+  if (rootPath) {
+    rootObj = getByDotPath(data, rootPath);
+    if (!rootObj) {
+      throw new Error(`rootPath "${rootPath}" not found in JSON.`);
+    }
+  }
+  return { data, rootObj };
+}
+
+// Object stored under `key` somewhere below root, with a loc xyz array
+// (empty when the track has none of that content)
+function findSection(root, key) {
+  const visited = new Set();
+  const stack = [root];
+  while (stack.length) {
+    const node = stack.pop();
+    if (!node || typeof node !== "object" || visited.has(node)) continue;
+    visited.add(node);
+    const hit = node[key];
+    if (hit && typeof hit === "object" && (isXYZArray(hit.loc) || hit.loc?.length === 0)) return hit;
+    for (const v of Object.values(node)) {
+      if (v && typeof v === "object") stack.push(v);
+    }
+  }
+  return null;
+}
+
+/**
+ * One row per index of a section whose arrays are columns. Named columns
+ * missing a value give null and are reported in `mismatches`; other arrays of
+ * exactly `count` values go into `extra` (empty arrays are unused features).
+ */
+function sectionRows(section, count, columns) {
+  const mismatches = Object.values(columns)
+    .filter((k) => Array.isArray(section[k]) && section[k].length !== count)
+    .map((k) => ({ key: k, length: section[k].length, expected: count }));
+
+  const named = new Set(Object.values(columns));
+  const extraKeys = Object.keys(section).filter(
+    (k) => !named.has(k) && Array.isArray(section[k]) && section[k].length === count
+  );
+  const at = (key, i) => (Array.isArray(section[key]) && i < section[key].length ? section[key][i] : null);
+
+  const rows = Array.from({ length: count }, (_, i) => {
+    const row = { index: i };
+    for (const [name, key] of Object.entries(columns)) row[name] = at(key, i);
+    row.extra = Object.fromEntries(extraKeys.map((k) => [k, section[k][i]]));
+    return row;
+  });
+
+  return { rows, mismatches };
+}
+
+// ===== Strict validation =====
+
+// Prop-block arrays that are fixed-size tables, not one value per prop
+// (also skipped by blockRows and trackWriter.js when their length matches)
+export const NOT_PER_PROP = new Set(["prDFXDSz", "prSFXDSz"]);
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+/** Report `v` at `path` unless it is an {x,y,z} of finite numbers (within range). */
+function checkXYZ(v, path, range, error) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) {
+    error(path, `not an {x,y,z} object: ${JSON.stringify(v)}`);
+    return;
+  }
+  for (const axis of ["x", "y", "z"]) {
+    const n = v[axis];
+    if (!isNum(n)) error(`${path}.${axis}`, `not a finite number: ${JSON.stringify(n)}`);
+    else if (range && (n < range[0] || n > range[1])) {
+      error(`${path}.${axis}`, `${n} outside ${range[0]}..${range[1]}`);
+    }
+  }
+}
+
+// Arrays in the race block that hold one value per checkpoint
+const CHECKPOINT_KEY = /^(ch|cp|snd)/;
+
+// The other sections clone.js reads: `loc` sets the entry count (or `count`,
+// when stored), `aligned` arrays must match it (checked when present), `xyz`
+// and `numbers` say what their values are. Other per-entry arrays of another
+// length only warn, as for props.
+const SECTION_CHECKS = {
+  race: {
+    loc: "chl",
+    count: "chp",
+    aligned: ["chh", "chs", "chs2", "chpp", "chpps", "sndchk", "sndrsp", "cpbs1", "cpbs2", "cpbs3"],
+    xyz: ["sndchk"],
+    numbers: ["chh", "sndrsp"],
+    perEntry: CHECKPOINT_KEY,
+  },
+  veh: { loc: "loc", count: "no", aligned: ["model", "head", "rot"], xyz: ["rot"], numbers: ["head"] },
+  weap: {
+    loc: "loc",
+    aligned: ["type", "head", "rotx", "roty"],
+    numbers: ["head", "rotx", "roty"],
+  },
+  fsp: { loc: "loc", aligned: ["head"], numbers: ["head"] },
+};
+
+function validateSections(root, rootName, error, warn) {
+  for (const [name, spec] of Object.entries(SECTION_CHECKS)) {
+    const section = root[name];
+    if (section === undefined) continue;
+    const base = rootName === "(root)" ? name : `${rootName}.${name}`;
+    if (!section || typeof section !== "object" || Array.isArray(section)) {
+      error(base, "not an object");
+      continue;
+    }
+    if (!Array.isArray(section[spec.loc])) {
+      error(`${base}.${spec.loc}`, "missing or not an array");
+      continue;
+    }
+
+    const count = section[spec.loc].length;
+    section[spec.loc].forEach((v, i) => checkXYZ(v, `${base}.${spec.loc}[${i}]`, null, error));
+    if (spec.count && spec.count in section && section[spec.count] !== count) {
+      error(`${base}.${spec.count}`, `is ${JSON.stringify(section[spec.count])}, ${base}.${spec.loc} has ${count} entries`);
+    }
+
+    for (const k of spec.aligned) {
+      if (!(k in section)) continue;
+      const values = section[k];
+      if (!Array.isArray(values)) {
+        error(`${base}.${k}`, "not an array");
+        continue;
+      }
+      if (values.length !== count) {
+        error(`${base}.${k}`, `${values.length} entries, ${base}.${spec.loc} has ${count}`);
+      }
+      values.forEach((v, i) => {
+        const path = `${base}.${k}[${i}]`;
+        if (spec.xyz?.includes(k)) checkXYZ(v, path, null, error);
+        else if (spec.numbers?.includes(k) && !isNum(v)) error(path, `not a finite number: ${JSON.stringify(v)}`);
+      });
+    }
+
+    // race.grid / race.head: where the grid is, when set
+    if (name === "race") {
+      if (section.grid !== undefined) checkXYZ(section.grid, `${base}.grid`, null, error);
+      if (section.head !== undefined && !isNum(section.head)) {
+        error(`${base}.head`, `not a finite number: ${JSON.stringify(section.head)}`);
+      }
+    }
+
+    if (spec.perEntry) {
+      for (const [k, v] of Object.entries(section)) {
+        if (k === spec.loc || spec.aligned.includes(k) || !spec.perEntry.test(k) || !Array.isArray(v)) continue;
+        if (v.length !== 0 && v.length !== count) {
+          warn(`${base}.${k}`, `${v.length} entries for ${count} checkpoints`);
+        }
+      }
+    }
+  }
+}
+
+// Without rootPath, strict mode reads under "mission" when the track has one,
+// where the lenient search finds the blocks too
+const strictRootPath = (data, rootPath) =>
+  rootPath ?? (data?.mission && typeof data.mission === "object" ? "mission" : undefined);
+
+/**
+ * Check a track without searching or truncating: the prop blocks
+ * (structure, array lengths, numeric coordinates, rotation range, model
+ * hashes) and the race, veh, weap and fsp sections (locations, headings and
+ * the arrays aligned with them). Paths are exact, e.g. "mission.prop.vRot[12].z".
+ *
+ * @param {object} data - parsed track JSON
+ * @param {{ rootPath?: string, kinds?: "prop"|"dprop"|"both",
+ *   modelKey?: string, locKey?: string, rotKey?: string }} [options]
+ *   rootPath defaults to "mission" when the track has one; with kinds "both" a
+ *   missing block counts as empty, a block asked for by name must exist
+ * @returns {Array<{ level: "error"|"warn", path: string, msg: string }>}
+ */
+export function validateTrack(data, options = {}) {
+  const { kinds = "prop", modelKey = "model", locKey = "loc", rotKey = "vRot" } = options;
+  const rootPath = strictRootPath(data, options.rootPath);
+  const issues = [];
+  const error = (path, msg) => issues.push({ level: "error", path, msg });
+  const warn = (path, msg) => issues.push({ level: "warn", path, msg });
+
+  if (!KINDS[kinds]) {
+    error("(options)", `unknown kinds "${kinds}"`);
+    return issues;
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    error("(root)", "not a JSON object");
+    return issues;
+  }
+
+  const root = rootPath ? getByDotPath(data, rootPath) : data;
+  const rootName = rootPath ?? "(root)";
+  if (!root || typeof root !== "object" || Array.isArray(root)) {
+    error(rootName, "missing or not an object");
+    return issues;
+  }
+
+  for (const kind of KINDS[kinds]) {
+    const base = rootPath ? `${rootPath}.${kind}` : kind;
+    const block = root[kind];
+    // With "both", a track without one of the blocks simply has none of those props
+    if (block === undefined && kinds === "both") continue;
+    if (!block || typeof block !== "object" || Array.isArray(block)) {
+      error(base, "missing or not an object");
+      continue;
+    }
+
+    const core = [modelKey, locKey, rotKey];
+    const missing = core.filter((k) => !Array.isArray(block[k]));
+    for (const k of missing) error(`${base}.${k}`, "missing or not an array");
+    if (missing.length) continue;
+
+    const count = block[modelKey].length;
+    for (const k of [locKey, rotKey]) {
+      if (block[k].length !== count) {
+        error(`${base}.${k}`, `${block[k].length} entries, ${base}.${modelKey} has ${count}`);
+      }
+    }
+    if ("no" in block && block.no !== count) {
+      error(`${base}.no`, `is ${JSON.stringify(block.no)}, ${base}.${modelKey} has ${count} entries`);
+    }
+
+    block[modelKey].forEach((m, i) => {
+      if (!Number.isInteger(m) || m < -0x80000000 || m > 0xffffffff) {
+        error(`${base}.${modelKey}[${i}]`, `not a 32-bit model hash: ${JSON.stringify(m)}`);
+      }
+    });
+
+    block[locKey].forEach((v, i) => checkXYZ(v, `${base}.${locKey}[${i}]`, null, error));
+    block[rotKey].forEach((v, i) => checkXYZ(v, `${base}.${rotKey}[${i}]`, [-180, 180], error));
+
+    // Per-prop siblings that are short or long lose values in rows
+    for (const [k, v] of Object.entries(block)) {
+      if (core.includes(k) || NOT_PER_PROP.has(k) || !Array.isArray(v)) continue;
+      if (v.length !== 0 && v.length !== count) {
+        warn(`${base}.${k}`, `${v.length} entries for ${count} props (left out of rows)`);
+      }
+    }
+  }
+
+  validateSections(root, rootName, error, warn);
+  return issues;
+}
+
+function findRaceBlock(root) {
+  const visited = new Set();
+  const stack = [root];
+  while (stack.length) {
+    const node = stack.pop();
+    if (!node || typeof node !== "object" || visited.has(node)) continue;
+    visited.add(node);
+    if (isXYZArray(node.chl)) return node;
+    for (const v of Object.values(node)) {
+      if (v && typeof v === "object") stack.push(v);
+    }
+  }
+  return null;
+}
+
+function blockRows({ node, keyMap }, kind) {
   const model = node[keyMap.model];
   const loc   = node[keyMap.loc];
   const vRot  = node[keyMap.rot];
 
   // 4) Build rows using the shortest common length
   const len = Math.min(model.length, loc.length, vRot.length);
-  const rows = Array.from({ length: len }, (_, i) => {
+  return Array.from({ length: len }, (_, i) => {
     const row = {
+      kind,
       model: model[i],
       location: loc[i],
       rotation: vRot[i],
@@ -75,24 +585,15 @@ export async function parseTrackData(source, options = {}) {
 
     // Include any sibling arrays with same length as model
     for (const [k, v] of Object.entries(node)) {
-      if (k === keyMap.model || k === keyMap.loc || k === keyMap.rot) continue;
+      if (k === keyMap.model || k === keyMap.loc || k === keyMap.rot || NOT_PER_PROP.has(k)) continue;
       if (Array.isArray(v) && v.length === model.length) {
         row[k] = v[i];
       }
     }
     return row;
   });
-
-  // Optional: you can log where it found the arrays
-  // console.log(`Found model/loc/vRot at: ${path.join(".")}`);
-
-  return rows;
 }
 
-export default parseTrackData;
-
-/* -------------------- helpers -------------------- */
-
 function getByDotPath(obj, dotPath) {
   return dotPath.split(".").reduce((o, k) => (o && o[k] != null ? o[k] : null), obj);
 }
@@ -104,7 +605,8 @@ const ALIASES = {
   rot:   ["vRot", "vrot", "rotation", "rotations", "v_rotation", "vrotations"],
 };
 
-function findBlockWithCoreArrays(root, keysCI) {
+// With `name`, only a block stored under that key counts (e.g. "dprop")
+function findBlockWithCoreArrays(root, keysCI, name) {
   const visited = new Set();
   const stack = [{ node: root, path: [] }];
 
@@ -115,7 +617,7 @@ function findBlockWithCoreArrays(root, keysCI) {
     visited.add(node);
 
     const keyMap = matchCoreKeys(node, keysCI);
-    if (keyMap) {
+    if (keyMap && (!name || path[path.length - 1] === name)) {
       const { model, loc, rot } = keyMap;
       const m = node[model], l = node[loc], r = node[rot];
       if (isModelArray(m) && isXYZArray(l) && isXYZArray(r)) {
@@ -190,3 +692,112 @@ function collectShapeHints(obj, keysCI, limit = 6) {
   if (hints.length === 0) return "No blocks resembled model/loc/vRot.";
   return hints.slice(0, limit).map(h => `- ${h}`).join("\n");
 }
+
+// ===== CLI =====
+
+const DEFAULT_COLUMNS = [
+  "index", "kind", "model", "modelName",
+  "location.x", "location.y", "location.z",
+  "rotation.x", "rotation.y", "rotation.z",
+];
+const HASH_COLUMNS = ["hashSigned", "hashUnsigned", "hashHex"];
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx !== -1 && idx + 1 < process.argv.length) {
+    return process.argv[idx + 1];
+  }
+  return null;
+}
+
+// Nested objects become dotted columns: { location: { x } } → "location.x"
+function flattenRow(row, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(row)) {
+    if (v && typeof v === "object" && !Array.isArray(v)) flattenRow(v, `${prefix}${k}.`, out);
+    else out[`${prefix}${k}`] = v;
+  }
+  return out;
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const text = Array.isArray(v) ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRows(rows, columns, format) {
+  switch (format) {
+    case "csv":
+      return [columns.join(","), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))].join("\n") + "\n";
+    case "jsonl":
+      return rows.map((r) => JSON.stringify(Object.fromEntries(columns.map((c) => [c, r[c] ?? null])))).join("\n") + "\n";
+    default:
+      throw new Error(`Unknown --format "${format}" (expected table, csv or jsonl)`);
+  }
+}
+
+async function cli() {
+  const file = process.argv[2];
+  if (!file || file.startsWith("--")) {
+    throw new Error("Usage: node trackParser.js <track.json> [--root mission] [--kinds both] [--format table|csv|jsonl] [--columns a,b|all] [--hashes] [--strict] [--out file]");
+  }
+
+  const kinds = getArg("--kinds") ?? undefined;
+  const rootPath = getArg("--root") ?? undefined;
+  const strict = process.argv.includes("--strict");
+  if (strict) {
+    const data = JSON.parse(await readFile(file, "utf8"));
+    for (const i of validateTrack(data, { rootPath, kinds })) {
+      if (i.level === "warn") console.warn(`⚠ ${i.path}: ${i.msg}`);
+    }
+  }
+  const rows = await parseTrackData(file, { rootPath, kinds, strict });
+
+  // Entries may carry either the signed or the unsigned hash
+  const names = new Map();
+  for (const e of await loadMenuFile()) names.set(toUnsigned(e.modelNumber), e.modelName);
+
+  const hashes = process.argv.includes("--hashes");
+  const flat = rows.map((row, index) => {
+    const unsigned = toUnsigned(row.model);
+    const extra = hashes
+      ? { hashSigned: toSigned(unsigned), hashUnsigned: unsigned, hashHex: toHex(unsigned) }
+      : {};
+    return { index, ...flattenRow(row), modelName: names.get(unsigned) ?? null, ...extra };
+  });
+
+  const colArg = getArg("--columns");
+  let columns;
+  if (colArg === "all") {
+    columns = [...new Set(flat.flatMap((r) => Object.keys(r)))];
+  } else {
+    columns = colArg ? colArg.split(",").map((c) => c.trim()).filter(Boolean) : DEFAULT_COLUMNS;
+    if (hashes && !colArg) columns = [...columns, ...HASH_COLUMNS];
+  }
+
+  const unknown = columns.filter((c) => !flat.some((r) => c in r));
+  if (unknown.length) console.warn(`No such column(s): ${unknown.join(", ")}`);
+
+  const format = getArg("--format") ?? "table";
+  const out = getArg("--out");
+
+  if (format === "table" && !out) {
+    console.table(flat.map((r) => Object.fromEntries(columns.map((c) => [c, r[c] ?? null]))));
+    return;
+  }
+
+  const text = formatRows(flat, columns, format === "table" ? "csv" : format);
+  if (out) {
+    await writeFile(out, text, "utf-8");
+    console.log(`Wrote ${flat.length} rows to ${out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli().catch((err) => {
+    console.error("Error:", err?.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,199 @@
+// trackSummary.js
+// One look at a track before cloning it: meta (areas, vehicle classes),
+// rule settings, prop counts per model with names from propMenu.json, the
+// bounding box and height spread of the props, and which models have no
+// MenuScript yet (no entry, or an entry without enter/exit blocks).
+//
+// CLI:
+//   node trackSummary.js <track.json> [--root mission] [--kinds prop|dprop|both]
+//     [--out summary.json]
+// Prints to the console and writes the same summary as JSON (default:
+// <track name>.summary.json in the current directory, not next to the track).
+import { readFile, writeFile } from "fs/promises";
+import { basename } from "path";
+import { pathToFileURL } from "url";
+import parseTrackData from "./trackParser.js";
+import { loadMenuFile } from "./helpers/menuMacro.js";
+import { toUnsigned } from "./helpers/hash.js";
+import { round3 } from "./helpers/rotation.js";
+
+// Rule settings shown as-is: the track stores the Creator's option indexes
+const RULE_KEYS = ["tod", "weth", "apeds"];
+
+const median = (sorted) => {
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+function spread(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  return {
+    min: round3(sorted[0]),
+    max: round3(sorted[sorted.length - 1]),
+    range: round3(sorted[sorted.length - 1] - sorted[0]),
+    mean: round3(mean),
+    median: round3(median(sorted)),
+  };
+}
+
+/** Blocks an entry is missing before clone.js can place its prop. */
+function missingBlocks(entry) {
+  const blocks = Array.isArray(entry.menuCommands) ? entry.menuCommands : [];
+  return ["enter", "exit"].filter((name) => !blocks.find((b) => b[name])?.[name]?.length);
+}
+
+/**
+ * Summarise a track document.
+ * @param {Object} data - parsed track JSON
+ * @param {{ rootPath?: string, kinds?: "prop"|"dprop"|"both", entries?: Array<Object> }} [options]
+ *   entries: propMenu.json entries (default: loaded from commands/propMenu.json)
+ * @returns {Promise<{
+ *   meta: { loc: string[]|null, vehcl: string[]|null },
+ *   rules: Object<string, *>,
+ *   props: { total: number, byKind: Object<string, number>, models: Array<{ model:number,
+ *     modelName:string|null, kind:string, count:number }> },
+ *   bounds: { min: object, max: object, size: object }|null,
+ *   heights: { min:number, max:number, range:number, mean:number, median:number }|null,
+ *   uncovered: Array<{ model:number, modelName:string|null, count:number, missing:string }>,
+ * }>}
+ */
+export async function summarizeTrack(data, options = {}) {
+  const { rootPath, kinds = "both" } = options;
+  const entries = options.entries ?? (await loadMenuFile());
+  const root = rootPath
+    ? rootPath.split(".").reduce((node, key) => node?.[key], data)
+    : data.mission ?? data;
+
+  const meta = data.meta ?? root?.meta ?? {};
+  const rule = root?.rule ?? {};
+  const rows = await parseTrackData(data, { rootPath, kinds });
+
+  const byHash = new Map(entries.map((e) => [toUnsigned(e.modelNumber), e]));
+
+  const models = new Map(); // "kind/unsigned hash" → { model, modelName, kind, count }
+  const byKind = {};
+  for (const row of rows) {
+    const kind = row.kind ?? "prop";
+    byKind[kind] = (byKind[kind] ?? 0) + 1;
+    const key = `${kind}/${toUnsigned(row.model)}`;
+    const seen = models.get(key);
+    if (seen) seen.count++;
+    else {
+      const modelName = byHash.get(toUnsigned(row.model))?.modelName ?? null;
+      models.set(key, { model: row.model, modelName, kind, count: 1 });
+    }
+  }
+  const counted = [...models.values()].sort((a, b) => b.count - a.count || a.kind.localeCompare(b.kind));
+
+  const located = rows.filter((r) => ["x", "y", "z"].every((a) => Number.isFinite(r.location?.[a])));
+  let bounds = null;
+  if (located.length) {
+    const axis = (a, pick) => round3(pick(...located.map((r) => r.location[a])));
+    const min = { x: axis("x", Math.min), y: axis("y", Math.min), z: axis("z", Math.min) };
+    const max = { x: axis("x", Math.max), y: axis("y", Math.max), z: axis("z", Math.max) };
+    bounds = {
+      min,
+      max,
+      size: { x: round3(max.x - min.x), y: round3(max.y - min.y), z: round3(max.z - min.z) },
+    };
+  }
+
+  // One line per model, whatever kinds it appears as
+  const uncovered = new Map(); // unsigned hash → line
+  for (const m of counted) {
+    const hash = toUnsigned(m.model);
+    const seen = uncovered.get(hash);
+    if (seen) {
+      seen.count += m.count;
+      continue;
+    }
+    const entry = byHash.get(hash);
+    const missing = entry ? missingBlocks(entry) : null;
+    if (entry && !missing.length) continue;
+    uncovered.set(hash, {
+      model: m.model,
+      modelName: m.modelName,
+      count: m.count,
+      missing: entry ? `${missing.join(" + ")} block` : "no propMenu.json entry",
+    });
+  }
+
+  return {
+    meta: { loc: meta.loc ?? null, vehcl: meta.vehcl?.filter(Boolean) ?? null },
+    rules: Object.fromEntries(RULE_KEYS.map((k) => [k, rule[k] ?? null])),
+    props: { total: rows.length, byKind, models: counted },
+    bounds,
+    heights: spread(located.map((r) => r.location.z)),
+    uncovered: [...uncovered.values()],
+  };
+}
+
+// ===== CLI =====
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx !== -1 && idx + 1 < process.argv.length) {
+    return process.argv[idx + 1];
+  }
+  return null;
+}
+
+function printSummary(file, s) {
+  const list = (v) => (v?.length ? v.join(", ") : "-");
+  console.log(`\n${file}`);
+  console.log(`  areas:            ${list(s.meta.loc)}`);
+  console.log(`  vehicle classes:  ${list(s.meta.vehcl)}`);
+  console.log(
+    `  rules:            ${Object.entries(s.rules).map(([k, v]) => `${k}=${v ?? "-"}`).join("  ")}`
+  );
+
+  const kinds = Object.entries(s.props.byKind).map(([k, n]) => `${n} ${k}`).join(", ");
+  console.log(`\nProps: ${s.props.total}${kinds ? ` (${kinds})` : ""}, ${s.props.models.length} model(s)`);
+  if (s.props.models.length) console.table(s.props.models);
+
+  if (s.bounds) {
+    const v = (p) => `(${p.x}, ${p.y}, ${p.z})`;
+    console.log(`Bounding box: ${v(s.bounds.min)} → ${v(s.bounds.max)}, size ${v(s.bounds.size)}`);
+  }
+  if (s.heights) {
+    const h = s.heights;
+    console.log(`Heights: ${h.min} .. ${h.max} (range ${h.range}, mean ${h.mean}, median ${h.median})`);
+  }
+
+  if (s.uncovered.length) {
+    const rows = s.uncovered.reduce((n, u) => n + u.count, 0);
+    console.log(`\nNo MenuScript yet: ${s.uncovered.length} model(s), ${rows} of ${s.props.total} rows`);
+    console.table(s.uncovered);
+  } else {
+    console.log("\nEvery model has a MenuScript.");
+  }
+}
+
+async function cli() {
+  const file = process.argv[2];
+  if (!file || file.startsWith("--")) {
+    throw new Error(
+      "Usage: node trackSummary.js <track.json> [--root mission] [--kinds prop|dprop|both] [--out summary.json]"
+    );
+  }
+
+  const data = JSON.parse(await readFile(file, "utf8"));
+  const summary = await summarizeTrack(data, {
+    rootPath: getArg("--root") ?? undefined,
+    kinds: getArg("--kinds") ?? undefined,
+  });
+  printSummary(file, summary);
+
+  const out = getArg("--out") ?? basename(file).replace(/(\.json)?$/i, ".summary.json");
+  await writeFile(out, JSON.stringify(summary, null, 2) + "\n", "utf8");
+  console.log(`\nWrote ${out}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli().catch((err) => {
+    console.error("Error:", err?.message || err);
+    process.exit(1);
+  });
+}
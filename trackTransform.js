@@ -0,0 +1,234 @@
+// trackTransform.js
+// Move a whole track: mirror across an axis, yaw about a pivot, translate.
+// Applied in that order to every row's location; each vRot is composed with
+// the same transform (helpers/rotation.js), not offset by degrees. With --out
+// the rest of the track moves too: checkpoints (race.chl/chh and
+// sndchk/sndrsp), the grid (race.grid/head), vehicles, start points (fsp) and
+// weapons. Locations at 0,0,0 are unset placeholders and stay where they are.
+//
+// CLI:
+//   node trackTransform.js <track.json> [--root mission] [--kinds prop|dprop|both]
+//     [--mirror x|y|z] [--yaw deg] [--pivot x,y,z|centroid] [--translate x,y,z]
+//     (--out new.json | --rows rows.jsonl)
+// --kinds defaults to both. --out writes a track JSON (trackWriter.js) that
+// clone.js can read; --rows writes the transformed rows, one JSON object per line.
+import { readFile, writeFile } from "fs/promises";
+import { pathToFileURL } from "url";
+import parseTrackData from "./trackParser.js";
+import { writeTrackText, writeValuesText } from "./trackWriter.js";
+import {
+  apply,
+  mirrorMatrix,
+  round3,
+  transformRotation,
+  yawMatrix,
+} from "./helpers/rotation.js";
+
+/** Mean location of the rows (the default pivot). */
+export function centroid(rows) {
+  const n = rows.length || 1;
+  const sum = rows.reduce(
+    (s, r) => ({ x: s.x + r.location.x, y: s.y + r.location.y, z: s.z + r.location.z }),
+    { x: 0, y: 0, z: 0 }
+  );
+  return { x: sum.x / n, y: sum.y / n, z: sum.z / n };
+}
+
+// Sections besides the prop blocks: a location (array, or one value for the
+// grid) with the heading(s) that go with it. Weapons carry a full rotation.
+const SECTIONS = [
+  { section: "race", loc: "chl", head: "chh" },
+  { section: "race", loc: "sndchk", head: "sndrsp" },
+  { section: "race", loc: "grid", head: "head" },
+  { section: "veh", loc: "loc", head: "head" },
+  { section: "fsp", loc: "loc", head: "head" },
+  { section: "weap", loc: "loc", head: "head", pitch: "rotx", roll: "roty" },
+];
+
+const isPlaceholder = (loc) => loc.x === 0 && loc.y === 0 && loc.z === 0;
+
+const sectionParent = (data, rootPath) =>
+  rootPath ? rootPath.split(".") : data.mission ? ["mission"] : [];
+
+/** "section.loc" names from SECTIONS that hold at least one set location. */
+export function sectionsWithContent(data, rootPath) {
+  const root = sectionParent(data, rootPath).reduce((node, key) => node?.[key], data);
+  return SECTIONS.filter(({ section, loc }) => {
+    const value = root?.[section]?.[loc];
+    if (value === undefined) return false;
+    return Array.isArray(value) ? value.some((l) => !isPlaceholder(l)) : !isPlaceholder(value);
+  }).map(({ section, loc }) => `${section}.${loc}`);
+}
+
+/** Point / rotation / heading functions for one set of transform options. */
+function makeTransform({ mirror, yaw = 0, translate = {} }, pivot) {
+  const move = { x: translate.x ?? 0, y: translate.y ?? 0, z: translate.z ?? 0 };
+  const mirrorM = mirror ? mirrorMatrix(mirror) : null;
+  const yawM = yaw ? yawMatrix(yaw) : null;
+
+  const point = (loc) => {
+    let offset = { x: loc.x - pivot.x, y: loc.y - pivot.y, z: loc.z - pivot.z };
+    if (mirrorM) offset = apply(mirrorM, offset);
+    if (yawM) offset = apply(yawM, offset);
+    return {
+      x: round3(pivot.x + offset.x + move.x),
+      y: round3(pivot.y + offset.y + move.y),
+      z: round3(pivot.z + offset.z + move.z),
+    };
+  };
+
+  const rotation = (vRot) => {
+    let r = vRot;
+    if (mirrorM) r = transformRotation(r, mirrorM, true);
+    if (yawM) r = transformRotation(r, yawM);
+    return r;
+  };
+
+  // A heading is a direction of travel: follow the forward vector (0° = +Y)
+  // through the transform. Tracks keep headings in 0..360.
+  const heading = (deg) => {
+    if (!mirrorM && !yawM) return deg;
+    let f = { x: -Math.sin((deg * Math.PI) / 180), y: Math.cos((deg * Math.PI) / 180), z: 0 };
+    if (mirrorM) f = apply(mirrorM, f);
+    if (yawM) f = apply(yawM, f);
+    return round3((((Math.atan2(-f.x, f.y) * 180) / Math.PI) % 360 + 360) % 360) % 360;
+  };
+
+  return { point, rotation, heading };
+}
+
+/**
+ * Transform rows. Returns new rows; the input is not modified.
+ * @param {Array<Object>} rows - rows as returned by parseTrackData
+ * @param {{
+ *   mirror?: "x"|"y"|"z",       // negate this axis about the pivot
+ *   yaw?: number,                // degrees about the pivot, counter-clockwise from above
+ *   pivot?: {x:number,y:number,z:number}|"centroid", // default: centroid of rows
+ *   translate?: {x?:number,y?:number,z?:number},
+ * }} [options]
+ * @returns {Array<Object>}
+ */
+export function transformRows(rows, options = {}) {
+  const pivot = !options.pivot || options.pivot === "centroid" ? centroid(rows) : options.pivot;
+  const t = makeTransform(options, pivot);
+  return rows.map((row) => ({ ...row, location: t.point(row.location), rotation: t.rotation(row.rotation) }));
+}
+
+/**
+ * The same transform for the track's other sections (see SECTIONS).
+ * @param {Object} data - parsed track JSON
+ * @param {Parameters<typeof transformRows>[1] & { rootPath?: string }} options
+ *   pivot must be a point here (the CLI passes the rows' centroid)
+ * @returns {Array<{ path: string[], value: * }>} edits for writeValuesText
+ */
+export function transformSections(data, options = {}) {
+  const { rootPath, pivot = { x: 0, y: 0, z: 0 } } = options;
+  const parent = sectionParent(data, rootPath);
+  const root = parent.reduce((node, key) => node?.[key], data);
+  const t = makeTransform(options, pivot);
+
+  const edits = [];
+  for (const { section, loc, head, pitch, roll } of SECTIONS) {
+    const node = root?.[section];
+    if (!node || node[loc] === undefined) continue;
+    const path = (key) => [...parent, section, key];
+
+    // race.grid / race.head are single values; everything else is aligned arrays
+    if (!Array.isArray(node[loc])) {
+      if (isPlaceholder(node[loc])) continue;
+      edits.push({ path: path(loc), value: t.point(node[loc]) });
+      if (typeof node[head] === "number") edits.push({ path: path(head), value: t.heading(node[head]) });
+      continue;
+    }
+
+    const keep = node[loc].map(isPlaceholder);
+    if (keep.every(Boolean)) continue;
+    edits.push({ path: path(loc), value: node[loc].map((l, i) => (keep[i] ? l : t.point(l))) });
+    if (pitch && Array.isArray(node[pitch]) && Array.isArray(node[roll])) {
+      const rots = node[loc].map((_, i) =>
+        keep[i] ? null : t.rotation({ x: node[pitch][i], y: node[roll][i], z: node[head][i] })
+      );
+      const pick = (key, axis, wrap = (v) => v) =>
+        edits.push({ path: path(key), value: node[key].map((v, i) => (rots[i] ? wrap(rots[i][axis]) : v)) });
+      pick(pitch, "x");
+      pick(roll, "y");
+      pick(head, "z", (z) => (z + 360) % 360);
+    } else if (Array.isArray(node[head])) {
+      edits.push({ path: path(head), value: node[head].map((h, i) => (keep[i] ? h : t.heading(h))) });
+    }
+  }
+  return edits;
+}
+
+// ===== CLI =====
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx !== -1 && idx + 1 < process.argv.length) {
+    return process.argv[idx + 1];
+  }
+  return null;
+}
+
+function parseVector(text, name) {
+  const parts = text.split(",").map(Number);
+  if (parts.length !== 3 || parts.some((n) => !Number.isFinite(n))) {
+    throw new Error(`${name} expects x,y,z (got "${text}")`);
+  }
+  const [x, y, z] = parts;
+  return { x, y, z };
+}
+
+async function cli() {
+  const file = process.argv[2];
+  const out = getArg("--out");
+  const rowsOut = getArg("--rows");
+  if (!file || file.startsWith("--") || (!out && !rowsOut)) {
+    throw new Error(
+      "Usage: node trackTransform.js <track.json> [--root mission] [--kinds prop|dprop|both] " +
+        "[--mirror x|y|z] [--yaw deg] [--pivot x,y,z|centroid] [--translate x,y,z] (--out new.json | --rows rows.jsonl)"
+    );
+  }
+
+  const rootPath = getArg("--root") ?? undefined;
+  const kinds = getArg("--kinds") ?? "both";
+  const text = await readFile(file, "utf8");
+  const data = JSON.parse(text);
+  const rows = await parseTrackData(data, { rootPath, kinds });
+
+  const pivotArg = getArg("--pivot");
+  const options = {
+    mirror: getArg("--mirror") ?? undefined,
+    yaw: Number(getArg("--yaw") ?? 0),
+    pivot: pivotArg && pivotArg !== "centroid" ? parseVector(pivotArg, "--pivot") : centroid(rows),
+    translate: getArg("--translate") ? parseVector(getArg("--translate"), "--translate") : undefined,
+  };
+  if (!Number.isFinite(options.yaw)) throw new Error(`--yaw expects degrees`);
+
+  const movedRows = transformRows(rows, options);
+  const p = options.pivot;
+  console.log(
+    `${rows.length} rows: mirror ${options.mirror ?? "-"}, yaw ${options.yaw}° about ` +
+      `(${round3(p.x)}, ${round3(p.y)}, ${round3(p.z)}), translate ` +
+      `${options.translate ? `(${options.translate.x}, ${options.translate.y}, ${options.translate.z})` : "-"}`
+  );
+
+  if (out) {
+    const edits = transformSections(data, { ...options, rootPath });
+    const moved = writeTrackText(text, movedRows, { rootPath, kinds });
+    await writeFile(out, writeValuesText(moved, edits), "utf8");
+    const sections = [...new Set(edits.map((e) => e.path.slice(-2).join(".")))];
+    console.log(`Wrote ${out} (also moved: ${sections.join(", ") || "-"})`);
+  }
+  if (rowsOut) {
+    await writeFile(rowsOut, movedRows.map((r) => JSON.stringify(r)).join("\n") + "\n", "utf8");
+    console.log(`Wrote ${rowsOut}`);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli().catch((err) => {
+    console.error("Error:", err?.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,340 @@
+// trackWriter.js
+// Write edited rows (as returned by parseTrackData) back into the original
+// track JSON text.
+//
+// Only the prop block(s) are rewritten, and inside them only model/loc/vRot,
+// the sibling arrays aligned with them, and `no` (plus, through
+// writeValuesText, whichever other values a caller names by path).
+// Everything else is copied from the original text byte for byte. Values that were already in an array
+// keep their original spelling (0.0 stays 0.0), so unchanged rows round-trip
+// to the same bytes.
+//
+// CLI round-trip check:
+//   node trackWriter.js <track.json> [--root mission] [--kinds prop|dprop|both] --check
+import { readFile, writeFile } from "fs/promises";
+import { pathToFileURL } from "url";
+import parseTrackData, { findPropBlock, NOT_PER_PROP } from "./trackParser.js";
+
+const KINDS = {
+  prop: ["prop"],
+  dprop: ["dprop"],
+  both: ["prop", "dprop"],
+};
+
+// ===== JSON text scanning (byte ranges, no re-serialisation) =====
+
+function skipWs(text, i) {
+  while (i < text.length && /\s/.test(text[i])) i++;
+  return i;
+}
+
+/** Index just past the JSON value starting at `i`. */
+function scanValue(text, i) {
+  const ch = text[i];
+  if (ch === '"') {
+    i++;
+    while (text[i] !== '"') i += text[i] === "\\" ? 2 : 1;
+    return i + 1;
+  }
+  if (ch === "{" || ch === "[") {
+    const close = ch === "{" ? "}" : "]";
+    i = skipWs(text, i + 1);
+    while (text[i] !== close) {
+      if (ch === "{") {
+        i = skipWs(text, scanValue(text, i)); // key
+        i = skipWs(text, i + 1); // ':'
+      }
+      i = skipWs(text, scanValue(text, i));
+      if (text[i] === ",") i = skipWs(text, i + 1);
+    }
+    return i + 1;
+  }
+  const m = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i, i + 64));
+  if (!m) throw new Error(`Unexpected JSON at offset ${i}`);
+  return i + m[0].length;
+}
+
+/**
+ * Members of the object / array whose text starts at `start`:
+ * [{ key?, start, end }] with start/end the range of each value.
+ */
+function members(text, start) {
+  const isObject = text[start] === "{";
+  const close = isObject ? "}" : "]";
+  const out = [];
+  let i = skipWs(text, start + 1);
+  while (text[i] !== close) {
+    let key;
+    if (isObject) {
+      const keyEnd = scanValue(text, i);
+      key = JSON.parse(text.slice(i, keyEnd));
+      i = skipWs(text, keyEnd);
+      i = skipWs(text, i + 1); // ':'
+    }
+    const end = scanValue(text, i);
+    out.push({ key, start: i, end });
+    i = skipWs(text, end);
+    if (text[i] === ",") i = skipWs(text, i + 1);
+  }
+  return out;
+}
+
+/** Range of the value at a key path, e.g. ["mission", "prop"]. */
+function rangeAt(text, path) {
+  let range = { start: skipWs(text, 0) };
+  range.end = scanValue(text, range.start);
+  for (const key of path) {
+    const hit = members(text, range.start).find((m) => m.key === key);
+    if (!hit) throw new Error(`"${path.join(".")}" not found in track text`);
+    range = hit;
+  }
+  return range;
+}
+
+// ===== Serialising new values in the style of the original =====
+
+const stripStrings = (raw) => raw.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+
+// Float arrays are written with a decimal point on every number (0.0, 180.0)
+const isFloatStyled = (raw) => /\d\.\d/.test(stripStrings(raw));
+
+function formatValue(value, floatStyle) {
+  if (typeof value === "number") {
+    return floatStyle && Number.isInteger(value) ? value.toFixed(1) : String(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => formatValue(v, floatStyle)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.entries(value)
+      .map(([k, v]) => `${JSON.stringify(k)}:${formatValue(v, floatStyle)}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Neutral value for a row that has no value for an aligned array
+function blankLike(sample) {
+  if (typeof sample === "number") return 0;
+  if (typeof sample === "boolean") return false;
+  if (typeof sample === "string") return "";
+  if (Array.isArray(sample)) return [];
+  if (sample && typeof sample === "object") {
+    return Object.fromEntries(Object.entries(sample).map(([k, v]) => [k, blankLike(v)]));
+  }
+  return null;
+}
+
+/**
+ * New text for an aligned array: original spelling for values the array
+ * already had, the array's number style for new ones.
+ */
+function arrayText(originalRaw, text, values) {
+  const spelled = new Map();
+  for (const m of members(text, originalRaw.start)) {
+    const raw = text.slice(m.start, m.end);
+    const canonical = JSON.stringify(JSON.parse(raw));
+    if (!spelled.has(canonical)) spelled.set(canonical, raw);
+  }
+  const floatStyle = isFloatStyled(text.slice(originalRaw.start, originalRaw.end));
+  return `[${values
+    .map((v) => spelled.get(JSON.stringify(v)) ?? formatValue(v, floatStyle))
+    .join(",")}]`;
+}
+
+// ===== Writer =====
+
+const ROW_FIELDS = { model: "model", location: "loc", rotation: "rot" };
+
+/**
+ * An empty block has no xyz arrays to recognise it by: look for it under
+ * rootPath, or else next to the other kind's block, under "mission", and at
+ * the document root.
+ */
+function findEmptyBlock(data, { rootPath, kind, modelKey, locKey, rotKey }) {
+  let parents;
+  if (rootPath) {
+    parents = [rootPath.split(".")];
+  } else {
+    const other = findPropBlock(data, { kind: kind === "prop" ? "dprop" : "prop", modelKey, locKey, rotKey });
+    parents = [...(other ? [other.path.slice(0, -1)] : []), ["mission"], []];
+  }
+  for (const parent of parents) {
+    const path = [...parent, kind];
+    const node = path.reduce((o, k) => (o && typeof o === "object" ? o[k] : null), data);
+    if (node && Array.isArray(node[modelKey])) {
+      return { node, path, keyMap: { model: modelKey, loc: locKey, rot: rotKey } };
+    }
+  }
+  return null;
+}
+
+/**
+ * Rewrite one prop block with `rows`.
+ * @returns {string} the new document text
+ */
+function writeBlock(text, data, rows, { rootPath, kind, modelKey, locKey, rotKey }) {
+  const found =
+    findPropBlock(data, { rootPath, kind, modelKey, locKey, rotKey }) ??
+    findEmptyBlock(data, { rootPath, kind, modelKey, locKey, rotKey });
+  if (!found) {
+    throw new Error(`No "${kind}" block to write to under "${rootPath ?? "(root)"}"`);
+  }
+
+  const { node, keyMap, path } = found;
+  const count = node[keyMap.model].length;
+  const coreKeys = new Set(Object.values(keyMap));
+  const rowKeys = new Set(rows.flatMap((r) => Object.keys(r)));
+
+  // Aligned = same length as model, except the fixed-size tables. In an empty
+  // block every empty array is "aligned", so only take those the rows carry.
+  const aligned = Object.keys(node).filter(
+    (k) =>
+      coreKeys.has(k) ||
+      (Array.isArray(node[k]) &&
+        !NOT_PER_PROP.has(k) &&
+        node[k].length === count &&
+        (count > 0 || rowKeys.has(k)))
+  );
+
+  const valuesFor = (key) => {
+    const field = Object.entries(ROW_FIELDS).find(([, k]) => keyMap[k] === key)?.[0] ?? key;
+    const sample = node[key][0] ?? rows.find((r) => r[field] !== undefined)?.[field];
+    return rows.map((r) => (r[field] !== undefined ? r[field] : blankLike(sample)));
+  };
+
+  const block = rangeAt(text, path);
+  const edits = [];
+  for (const m of members(text, block.start)) {
+    if (aligned.includes(m.key)) {
+      edits.push({ ...m, text: arrayText(m, text, valuesFor(m.key)) });
+    } else if (m.key === "no" && typeof node.no === "number") {
+      edits.push({ ...m, text: String(rows.length) });
+    }
+  }
+
+  // Splice from the end so earlier offsets stay valid
+  let out = text;
+  for (const e of edits.sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, e.start) + e.text + out.slice(e.end);
+  }
+  return out;
+}
+
+/**
+ * Write rows back into the original track JSON text.
+ * Rows go to the block named by their `kind` ("prop" when missing); every
+ * block listed by `kinds` is rewritten, so a block whose rows were all
+ * removed comes out empty.
+ *
+ * @param {string} text - original track JSON text
+ * @param {Array<Object>} rows - rows as returned by parseTrackData, edited
+ * @param {{
+ *   rootPath?: string,          // dot path to the blocks' parent, e.g. "mission"
+ *   kinds?: "prop"|"dprop"|"both", // blocks to write (default "prop")
+ *   modelKey?: string,          // defaults "model"
+ *   locKey?: string,            // defaults "loc"
+ *   rotKey?: string,            // defaults "vRot"
+ * }} [options]
+ * @returns {string}
+ */
+export function writeTrackText(text, rows, options = {}) {
+  const { rootPath, kinds = "prop", modelKey = "model", locKey = "loc", rotKey = "vRot" } = options;
+  const blocks = KINDS[kinds];
+  if (!blocks) {
+    throw new Error(`Unknown kinds "${kinds}" (expected one of: ${Object.keys(KINDS).join(", ")})`);
+  }
+
+  const stray = rows.filter((r) => !blocks.includes(r.kind ?? "prop"));
+  if (stray.length) {
+    throw new Error(`${stray.length} row(s) of kind "${stray[0].kind}" but kinds is "${kinds}"`);
+  }
+
+  let out = text;
+  for (const kind of blocks) {
+    const data = JSON.parse(out);
+    const own = rows.filter((r) => (r.kind ?? "prop") === kind);
+    out = writeBlock(out, data, own, { rootPath, kind, modelKey, locKey, rotKey });
+  }
+  return out;
+}
+
+/**
+ * Replace values at key paths, e.g. race.chl after moving the checkpoints.
+ * Arrays keep the original spelling of values they already had; other
+ * values are written in the original value's number style, or left as they
+ * were when unchanged.
+ * @param {string} text - original track JSON text
+ * @param {Array<{ path: string[], value: * }>} edits - e.g. { path: ["mission", "race", "chh"], value: [...] }
+ * @returns {string}
+ */
+export function writeValuesText(text, edits) {
+  let out = text;
+  for (const { path, value } of edits) {
+    const range = rangeAt(out, path);
+    const raw = out.slice(range.start, range.end);
+    let next;
+    if (Array.isArray(value) && raw.startsWith("[")) next = arrayText(range, out, value);
+    else if (JSON.stringify(JSON.parse(raw)) === JSON.stringify(value)) next = raw;
+    else next = formatValue(value, isFloatStyled(raw));
+    out = out.slice(0, range.start) + next + out.slice(range.end);
+  }
+  return out;
+}
+
+/**
+ * Read a track file, write rows into it and save (to `out`, or in place).
+ * @param {string} file
+ * @param {Array<Object>} rows
+ * @param {{ out?: string } & Parameters<typeof writeTrackText>[2]} [options]
+ */
+export async function saveTrackData(file, rows, options = {}) {
+  const { out = file, ...rest } = options;
+  const text = await readFile(file, "utf8");
+  await writeFile(out, writeTrackText(text, rows, rest), "utf8");
+}
+
+export default writeTrackText;
+
+// ===== CLI =====
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx !== -1 && idx + 1 < process.argv.length) {
+    return process.argv[idx + 1];
+  }
+  return null;
+}
+
+async function cli() {
+  const file = process.argv[2];
+  if (!file || file.startsWith("--") || !process.argv.includes("--check")) {
+    throw new Error("Usage: node trackWriter.js <track.json> [--root mission] [--kinds prop|dprop|both] --check");
+  }
+
+  const rootPath = getArg("--root") ?? undefined;
+  const kinds = getArg("--kinds") ?? "prop";
+  const text = await readFile(file, "utf8");
+  const rows = await parseTrackData(JSON.parse(text), { rootPath, kinds });
+  const out = writeTrackText(text, rows, { rootPath, kinds });
+
+  if (out === text) {
+    console.log(`${file}: ${rows.length} rows round-trip byte-stable`);
+    return 0;
+  }
+  let at = 0;
+  while (out[at] === text[at]) at++;
+  console.error(`${file}: round-trip differs at offset ${at}:`);
+  console.error(`  was: ${text.slice(Math.max(0, at - 40), at + 40)}`);
+  console.error(`  now: ${out.slice(Math.max(0, at - 40), at + 40)}`);
+  return 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  cli()
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      console.error("Error:", err?.message || err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,86 @@
+// verifyMenu.js — check every prop's enter/exit MenuScript blocks against
+// the symbolic prop menu model (helpers/menuModel.js), without the game.
+//
+// Flags entries whose exit does not bring the cursor back to the start,
+// whose enter lands on the wrong item / subcategory, and entries that land
+// on the same item as another entry, and entries whose modelNumber,
+// hashUnsigned, hashHex and joaat(modelName) disagree (helpers/hash.js).
+//
+// What this does NOT check yet, and says so in its output:
+//  - the landing item, for catalog subcategories marked "verified": false:
+//    their positions were read off propMenu.json, so the check is circular
+//  - wraparound, while itemCount / subcategoryCount are null: an exit that
+//    relies on wrapping is reported as "may not return", never passed, and
+//    a negative index is only compared with the catalog's own entries
+//
+// Usage: node verifyMenu.js [--file commands/propMenu.json]
+//                           [--catalog commands/propCatalog.json] [--json]
+// Exits with code 1 when any error is found.
+
+import { loadMenuFile, PROP_MENU_FILE } from "./helpers/menuMacro.js";
+import { loadCatalog, PROP_CATALOG_FILE, verifyMenuEntries } from "./helpers/menuModel.js";
+
+function getArg(name) {
+  const idx = process.argv.indexOf(name);
+  if (idx !== -1 && idx + 1 < process.argv.length) {
+    return process.argv[idx + 1];
+  }
+  return null;
+}
+
+async function main() {
+  const entries = await loadMenuFile(getArg("--file") ?? PROP_MENU_FILE);
+  const catalog = await loadCatalog(getArg("--catalog") ?? PROP_CATALOG_FILE);
+  const results = verifyMenuEntries(entries, catalog);
+
+  const errors = results.reduce((n, r) => n + r.issues.filter((i) => i.level === "error").length, 0);
+  const warnings = results.reduce((n, r) => n + r.issues.filter((i) => i.level === "warn").length, 0);
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify({ errors, warnings, results }, null, 2));
+    return errors;
+  }
+
+  console.table(
+    results.map((r) => ({
+      modelName: r.modelName,
+      enter: r.enter ?? "-",
+      exit: r.exit ?? "-",
+      item: r.enter == null ? "-" : r.unverified ? "unverified" : "checked",
+      errors: r.issues.filter((i) => i.level === "error").length,
+      warnings: r.issues.filter((i) => i.level === "warn").length,
+    }))
+  );
+
+  for (const r of results) {
+    if (!r.issues.length) continue;
+    console.log(`\n${r.modelName} (${r.modelNumber})`);
+    for (const i of r.issues) {
+      console.log(`  ${i.level === "error" ? "✖" : "⚠"} ${i.msg}`);
+    }
+  }
+
+  const unverified = results.filter((r) => r.unverified).length;
+  if (unverified) {
+    console.log(
+      `\n${unverified} entries land in subcategories whose positions come from propMenu.json ` +
+        `itself ("verified": false in the catalog): their landing item is not independently checked.`
+    );
+  }
+  const uncounted = catalog.subcategories.filter((sc) => sc.itemCount == null).length;
+  if (uncounted || catalog.subcategoryCount == null) {
+    console.log(
+      `Wraparound is not checked: ${uncounted} of ${catalog.subcategories.length} subcategories have no ` +
+        `in-game itemCount${catalog.subcategoryCount == null ? " and subcategoryCount is unknown" : ""}.`
+    );
+  }
+  console.log(`\n${results.length} entries: ${errors} error(s), ${warnings} warning(s)`);
+  return errors;
+}
+
+main()
+  .then((errors) => process.exit(errors ? 1 : 0))
+  .catch((err) => {
+    console.error("Error:", err?.message || err);
+    process.exit(1);
+  });